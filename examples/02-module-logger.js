@@ -73,6 +73,28 @@ namespace.authModule = (function (namespace) {
   };
 })(namespace);
 
+/* ================================================================ */
+// Example Module 3: Shared and child loggers
+/* ================================================================ */
+namespace.paymentModule = (function (namespace) {
+  'use strict';
+
+  // getLogger returns the same instance in every file that asks for 'PaymentModule'
+  var logger = namespace.logger.getLogger('PaymentModule');
+  logger.setExtra({ gateway: 'stripe' });
+
+  // PaymentModule.Refunds inherits the gateway extra and the PaymentModule level
+  var refundLogger = logger.child('Refunds');
+
+  var refund = function(orderId, amount) {
+    refundLogger.log('Refund requested', { orderId: orderId, amount: amount });
+  };
+
+  return {
+    refund: refund
+  };
+})(namespace);
+
 /* ================================================================ */
 // Usage
 /* ================================================================ */
@@ -82,3 +104,5 @@ namespace.cartModule.checkout();
 
 namespace.authModule.login('john.doe');
 namespace.authModule.logout('john.doe');
+
+namespace.paymentModule.refund('ORD-789', 25);
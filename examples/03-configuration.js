@@ -12,8 +12,7 @@ var namespace = namespace || {};
 // Scenario 1: Development Environment
 /* ================================================================ */
 function developmentConfig() {
-  var devConfig = namespace.loggerConfig.getEnvConfig('development');
-  namespace.loggerConfig.configure(devConfig);
+  namespace.loggerConfig.useEnvironment('development');
   
   console.log('Development config:', namespace.loggerConfig.getConfig());
   
@@ -25,8 +24,7 @@ function developmentConfig() {
 // Scenario 2: Production Environment
 /* ================================================================ */
 function productionConfig() {
-  var prodConfig = namespace.loggerConfig.getEnvConfig('production');
-  namespace.loggerConfig.configure(prodConfig);
+  namespace.loggerConfig.useEnvironment('production');
   
   console.log('Production config:', namespace.loggerConfig.getConfig());
   
@@ -57,7 +55,7 @@ function customConfig() {
 /* ================================================================ */
 function dynamicConfig() {
   // Start with production config
-  namespace.loggerConfig.configure(namespace.loggerConfig.getEnvConfig('production'));
+  namespace.loggerConfig.useEnvironment('production');
   console.log('Starting in production mode');
   
   // Change log level to see more information
@@ -69,11 +67,41 @@ function dynamicConfig() {
   namespace.logger.log('This will NOT show (level too low)', 'Config');
   namespace.logger.warning('This WILL show', 'Config');
   
-  // Reset to default
+  // Reset to the environment's level (WARNING in production)
   namespace.loggerConfig.resetLevel();
   console.log('Reset to default level:', namespace.loggerConfig.getLevel());
 }
 
+/* ================================================================ */
+// Scenario 5: Custom Environments and Detection
+/* ================================================================ */
+function environmentDetection() {
+  // Register an environment of your own
+  namespace.loggerConfig.registerEnvironment('uat', {
+    level: 'INFORMATION',
+    serverLevel: 'WARNING',
+    serverProcessName: 'LOG_ENTRY_UAT'
+  });
+
+  // Map hostnames to environments, then detect. Detection also checks the
+  // URL parameter named in environmentParam (opt-in), the data-logger-environment
+  // attribute on the script tag and the page item named in environmentItem
+  namespace.loggerConfig.configure({
+    environmentHosts: {
+      'localhost': 'development',
+      'uat.example.com': 'uat',
+      '*.example.com': 'production'
+    }
+  });
+  var environment = namespace.loggerConfig.useEnvironment();
+  console.log('Detected environment:', environment);
+
+  // Explicit options stay on top of any environment
+  namespace.loggerConfig.configure({ maxDataSize: 20000 });
+  namespace.loggerConfig.useEnvironment('production');
+  console.log('Still 20000:', namespace.loggerConfig.getConfig().maxDataSize);
+}
+
 /* ================================================================ */
 // Run examples
 /* ================================================================ */
@@ -81,3 +109,4 @@ developmentConfig();
 // productionConfig();
 // customConfig();
 // dynamicConfig();
+// environmentDetection();
@@ -159,6 +159,115 @@ function nestedTimingExample() {
   }, 200);
 }
 
+/* ================================================================ */
+// Example 7: Timer handles, concurrent runs and laps
+/* ================================================================ */
+function timerHandleExample() {
+  var logger = namespace.logger.createModuleLogger('OrderModule');
+  
+  // Two saves of the same unit running at once - each handle stops its own run
+  ['ORD-1', 'ORD-2'].forEach(function(orderId, i) {
+    var timer = logger.timeStart('save_order');
+    
+    setTimeout(function() {
+      timer.lap('validated');
+      
+      setTimeout(function() {
+        timer.lap('saved');
+        timer.stop();
+        // Output: "save_order completed in 350.12ms (validated +100.05ms, saved +250.07ms)"
+      }, 250);
+    }, 100 * (i + 1));
+  });
+}
+
+/* ================================================================ */
+// Example 8: Aggregated timing statistics
+/* ================================================================ */
+function aggregatedTimingExample() {
+  var logger = namespace.logger.createModuleLogger('GridModule');
+  
+  namespace.loggerConfig.configure({ timingMode: 'aggregate' });
+  
+  // 200 grid refreshes - no entry per refresh
+  for (var i = 0; i < 200; i++) {
+    var timer = logger.timeStart('grid_refresh');
+    refreshGridRow(i);
+    timer.stop();
+  }
+  
+  namespace.logger.printTimingStats();
+  // ┌─────────┬────────────────┬──────────────┬───────┬──────┬──────┬──────┬──────┬──────┬──────┐
+  // │ (index) │ unit           │ module       │ count │ min  │ max  │ mean │ p50  │ p95  │ p99  │
+  // │ 0       │ 'grid_refresh' │ 'GridModule' │ 200   │ 0.1  │ 2.3  │ 0.4  │ 0.3  │ 1.1  │ 2.0  │
+  
+  // One summary entry to the server instead of 200
+  namespace.logger.flushTimingStats();
+  
+  namespace.loggerConfig.configure({ timingMode: 'log' });
+}
+
+function refreshGridRow(index) {
+  var total = 0;
+  for (var j = 0; j < 10000; j++) {
+    total += index * j;
+  }
+  return total;
+}
+
+/* ================================================================ */
+// Example 9: Timing promises and wrapped functions
+/* ================================================================ */
+function asyncTimingExample() {
+  var logger = namespace.logger.createModuleLogger('OrderModule');
+  
+  var fetchOrders = function() {
+    return new Promise(function(resolve) {
+      setTimeout(function() { resolve([{ id: 1 }, { id: 2 }]); }, 300);
+    });
+  };
+  
+  // Logged on success and on rejection - no timeStop() to forget
+  logger.timeAsync('fetch_orders', fetchOrders).then(function(orders) {
+    logger.log('Orders loaded', { count: orders.length });
+  });
+  
+  // Every call is timed; the result is returned unchanged
+  var calculateTotal = logger.wrap(function calculateTotal(items) {
+    return items.reduce(function(sum, item) { return sum + item.price; }, 0);
+  }, { logArgs: true, logResult: true });
+  
+  calculateTotal([{ price: 10 }, { price: 15 }]);
+  // Output: "calculateTotal completed in 0.05ms" with extra.args and extra.result: 25
+}
+
+/* ================================================================ */
+// Example 10: Slow-operation thresholds
+/* ================================================================ */
+function thresholdTimingExample() {
+  var logger = namespace.logger.createModuleLogger('PaymentModule');
+  
+  // Only timings over budget are logged - and sent to the server
+  namespace.loggerConfig.configure({
+    timingMode: 'quiet',
+    timingThresholds: {
+      'payment-processing': 2000,
+      PaymentModule: { warning: 500, error: 3000 }
+    }
+  });
+  
+  logger.timeStart('load_methods');
+  setTimeout(function() {
+    logger.timeStop('load_methods');          // 100ms - nothing logged
+  }, 100);
+  
+  logger.timeStart('payment-processing');
+  setTimeout(function() {
+    logger.timeStop('payment-processing');
+    // Output (WARNING, sent to server): "payment-processing completed in 2500.31ms (over 2000ms budget)"
+  }, 2500);
+}
+
 /* ================================================================ */
 // Run examples
 /* ================================================================ */
@@ -169,3 +278,7 @@ simpleTimingExample();
 // namespace.performanceModule.measureDataLoad();
 // namespace.performanceModule.measureImageProcess();
 // nestedTimingExample();
+// timerHandleExample();
+// aggregatedTimingExample();
+// asyncTimingExample();
+// thresholdTimingExample();
@@ -19,9 +19,10 @@ namespace.loggerConfig.configure({
 // Example 1: Simple server logging
 /* ================================================================ */
 function simpleServerLog() {
-  // This sends log to APEX process LOG_ENTRY with parameters:
-  // x01: level, x02: text, x03: module, x04: extra (JSON)
-  // x05: timestamp, x06: user, x07: page, x08: session
+  // This queues the log for the APEX process JS_LOGGER. Queued entries are sent
+  // together in p_clob_01 as a versioned JSON document
+  // { schemaVersion: 1, sentAt, entries: [{ level, text, module, extra,
+  // timestamp, user, page, session, ... }] }
   
   namespace.logger.logServer('User action logged', 'UserActivity', {
     action: 'form_submit',
@@ -63,13 +64,8 @@ function logErrorsToServer() {
     // Simulate error
     throw new Error('Database connection failed');
   } catch (error) {
-    // Log error to server for monitoring
-    logger.logServer('Critical error occurred', {
-      error: error.message,
-      stack: error.stack,
-      page: apex.env.APP_PAGE_ID,
-      user: apex.env.APP_USER
-    });
+    // Log error to server for monitoring - name, message, stack and cause are captured
+    logger.error('Critical error occurred', error, { sendToServer: true });
   }
 }
 
@@ -140,6 +136,20 @@ function logDynamicAction() {
 }
 */
 
+/* ================================================================ */
+// Example 8: Flush queued logs before leaving the page
+/* ================================================================ */
+function flushBeforeSubmit() {
+  namespace.logger.logServer('Order form submitted', 'OrderModule', {
+    orderId: 'ORD-98765'
+  });
+
+  // Send everything still queued, then submit the page
+  namespace.logger.flush().then(function () {
+    apex.submit('SAVE');
+  });
+}
+
 /* ================================================================ */
 // Run examples (requires APEX environment with LOG_ENTRY process)
 /* ================================================================ */
@@ -149,3 +159,4 @@ function logDynamicAction() {
 // logPerformanceToServer();
 // logAuditTrail();
 // serverFallbackExample();
+// flushBeforeSubmit();
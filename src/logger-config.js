@@ -18,14 +18,53 @@ namespace.loggerConfig = (function (namespace, undefined) {
   // All configuration should be set here - logger.js reads from this config
   var DEFAULT_CONFIG = {
     // Logging behavior
-    level:                  'INFORMATION',        // Console log level - values: OFF (disables console only), ERROR, WARNING, INFORMATION (logServer() bypasses this)
+    level:                  'INFORMATION',        // Console log level - values: OFF (disables console only), PERMANENT, FATAL, ERROR, WARNING, INFORMATION, DEBUG, TRACE (logServer() bypasses this)
     enableServer:           true,                 // Enable server logging (database storage) - works independently of level setting
+    serverLevel:            'OFF',                // Entries at or above this level are sent to the server automatically - OFF sends only logServer(), sendToServer and PERMANENT/FATAL
+    moduleLevels:           {},                   // Console level per module, e.g. { PaymentModule: 'DEBUG', 'Report*': 'ERROR', '*': 'WARNING' }
+    moduleServerLevels:     {},                   // Server level per module, same format as moduleLevels
 
     // Server logging configuration
     serverProcessName:     'JS_LOGGER',          // APEX process name for server logging
     retryCount:             1,                    // Maximum number of retry attempts for server logging
     retryAttemptInitial:    0,                    // Initial retry attempt counter (usually 0)
     retryDelayBase:         1000,                 // Base delay in milliseconds for exponential backoff retry
+    circuitBreakerThreshold: 3,                   // Consecutive failed requests before server sends are paused (circuit OPEN)
+    circuitBreakerCooldown: 30000,                // Milliseconds the circuit stays OPEN before a single probe request is sent
+    onTransportStatusChange: null,                // Optional callback(status, previousState) when the circuit state changes
+
+    // Server transport: 'apex' posts to the serverProcessName Ajax process, 'rest' posts JSON to restUrl (e.g. an ORDS module)
+    serverTransport:        'apex',               // Transport used for batches, retries, replay and unload delivery - values: apex, rest
+    restUrl:                null,                 // URL the rest transport POSTs entries to
+    restHeaders:            {},                   // Extra request headers for the rest transport
+    restTokenProvider:      null,                 // Optional function returning a token (or a Promise of one), sent as Authorization: Bearer
+    restTimeout:            10000,                // Milliseconds before a rest request is aborted (counts as a failed attempt)
+    restBatch:              true,                 // true posts each batch as one JSON document, false posts every entry in its own document
+    serverPayloadFormat:    'json',               // APEX process payload - json: versioned document in p_clob_01, legacy: one entry per request in x01-x08
+
+    // Server batching (entries are queued and sent together as one JSON array)
+    batchSize:              10,                   // Send as soon as this many entries are queued (1 = send every entry immediately)
+    batchMaxBytes:          50000,                // Send as soon as queued entries reach this serialized size
+    batchFlushInterval:     5000,                 // Milliseconds to wait before sending a partial batch
+    maxQueueLength:         500,                  // Maximum queued entries - oldest are dropped when exceeded
+    enableUnloadDelivery:   true,                 // Send queued entries with navigator.sendBeacon when the page is hidden or unloaded
+    unloadEndpoint:         'wwv_flow.ajax',      // APEX Ajax endpoint used for unload delivery
+
+    // Offline storage (entries the server did not accept are kept and replayed later)
+    enableOfflineStorage:   true,                 // Store undelivered entries (IndexedDB, localStorage fallback) for replay
+    offlineStorageKey:      'JS_LOGGER_PENDING',  // IndexedDB database / localStorage key name
+    offlineMaxEntries:      500,                  // Maximum stored entries - oldest are evicted first
+    offlineMaxAge:          604800000,            // Maximum age of stored entries in milliseconds (7 days)
+
+    // Environment detection (see useEnvironment)
+    environmentParam:       null,                 // URL parameter that selects an environment, e.g. 'logger_env' - opt-in, any visitor can set it
+    environmentItem:        null,                 // Page item holding the environment name, e.g. a P0 item sourced from an application item
+    environmentHosts:       {},                   // Hostname to environment map, e.g. { 'localhost': 'development', '*.test.example.com': 'testing' }
+
+    // Runtime configuration from the server (raise levels for one user without redeploying)
+    remoteConfigProcess:    null,                 // APEX Ajax process returning the remote config JSON (null = disabled)
+    remoteConfigItem:       null,                 // Page item holding the remote config JSON, e.g. a Global Page item set from an application item
+    remoteConfigRefreshInterval: 0,               // Milliseconds between refreshes (0 = fetch once when configured)
 
     // Default values
     defaultModuleName:      'JS_LOGGER',          // Default module name when not provided in log calls
@@ -33,17 +72,63 @@ namespace.loggerConfig = (function (namespace, undefined) {
 
     // Security and data handling
     enableDataMasking:      true,                 // Enable masking of sensitive fields
-    sensitiveFields:        ['password', 'token', 'ssn'],  // Fields to mask in log data
-    maxDataSize:            10000,                // Maximum data size in bytes before truncation
+    sensitiveFields:        ['password', 'token', 'ssn'],  // Fields to mask at any depth - names (substring match), RegExps or dotted paths ('payment.card.number')
+    maskValuePatterns:      ['creditCard', 'email', 'jwt', 'iban'],  // Value detectors applied to string values and log text
+    maskStrategy:           'full',               // How masked values are shown - values: full, partial (keep last 4 of detected cards/IBANs), hash
+    maskHashSalt:           null,                 // Per-deployment secret mixed into the hash strategy (unsalted hashes of short values can be brute-forced)
+    maxDataSize:            10000,                // Maximum data size in bytes before truncation (applied after masking)
+    maxStringLength:        1000,                 // Strings longer than this are trimmed when data exceeds maxDataSize
+    maxArrayLength:         50,                   // Arrays longer than this are capped when data exceeds maxDataSize
+    maxDepth:               6,                    // Deeper objects are collapsed when data exceeds maxDataSize
     maxErrorStringLength:    100,                  // Maximum length for error string display
+    maxStackFrames:         50,                   // Maximum stack frames parsed from an Error into stackFrames
+    maxErrorSize:           10000,                // Size budget of entry.error (separate from maxDataSize) - stacks and causes are trimmed to fit
+
+    // Global error capture (namespace.logger.installGlobalHandlers)
+    globalErrorModuleName:  'GLOBAL_ERROR',       // Module name for uncaught errors and unhandled rejections
+    globalErrorDedupeInterval: 10000,             // Milliseconds during which identical global errors are logged only once
+
+    // Automatic metadata (entry.metadata) - each group adds payload size, so all are off by default
+    metadataGroups:         [],                   // Groups to capture - values: app, url, browser, trigger, items
+    metadataItems:          [],                   // Page items whose values the items group captures (e.g. ['P1_ORDER_ID'])
+    metadataStripParams:    ['session', 'cs', 'p_instance'],  // Query parameters removed from url/referrer (sensitiveFields are removed too)
+
+    // Trace context (namespace.logger.installTraceInjection)
+    traceParam:             'x10',                // apex.server.process parameter that receives the traceparent (null = header only)
 
     // Timing configuration
-    timingDecimalPlaces:    2                    // Decimal places for timing display (e.g., "123.45ms")
+    timingDecimalPlaces:    2,                   // Decimal places for timing display (e.g., "123.45ms")
+    timingMode:             'log',               // log: one entry per measurement, aggregate: statistics only (getTimingStats), quiet: nothing below thresholds
+    timingThresholds:       {},                  // Slow-operation budgets by unit or module, e.g. { 'payment-processing': 2000, PaymentModule: { warning: 1000, error: 5000 } }
+    timingSampleSize:       1000,                // Most recent measurements kept per unit for percentiles
+    timingFlushInterval:    0                    // Milliseconds between timing summaries sent to the server (0 = flushTimingStats() only)
   };
 
   // Current active configuration (this is the single source of truth)
   var currentConfig = Object.assign({}, DEFAULT_CONFIG);
 
+  // Options set with configure(), setLevel() and setServerLevel() - re-applied over every environment
+  var explicitConfig = {};
+
+  // Active environment name (null when no environment preset is applied)
+  var currentEnvironment = null;
+
+  // Options resolved from the server config (applied over explicit options until they expire)
+  var remoteConfig = {};
+
+  // Last remote config payload, and the timers that refresh and expire it
+  var remotePayload = null;
+  var remoteSource = null;
+  var remoteRefreshTimer = null;
+  var remoteExpiryTimer = null;
+
+  // Called with currentConfig after every rebuild (onConfigChange)
+  var configListeners = [];
+
+  // Script tag that loaded this file - its data-logger-environment* attributes configure detection at load
+  var scriptTag = (typeof document !== 'undefined' && document.currentScript) || null;
+  var scriptEnvironment = (scriptTag && scriptTag.getAttribute('data-logger-environment')) || null;
+
 
 
 
@@ -53,13 +138,17 @@ namespace.loggerConfig = (function (namespace, undefined) {
 
 
   /* ================================================================================================= */
-  // Log level constants (only implemented levels)
+  // Log level constants - numbers match Oracle Logger (logger.g_permanent, logger.g_error, ...)
   var LOG_LEVELS = {
     OFF:          0,  // Blocks console output only - server logging still works if enableServer is true
+    PERMANENT:    1,  // logger.permanent() method - always sent to the server
+    FATAL:        1,  // logger.fatal() method - same number as PERMANENT, always sent to the server
     ERROR:        2,  // logger.error() method
     WARNING:      4,  // logger.warning() method
     INFORMATION:  8,  // logger.log() and logger.logServer() methods (default)
-    TIMING:      32   // Has styling but timeStop() uses INFORMATION level
+    DEBUG:       16,  // logger.debug() method
+    TIMING:      32,  // Has styling but timeStop() uses INFORMATION level
+    TRACE:      256   // logger.trace() method - not in Oracle Logger, more verbose than every Oracle Logger level
   };
 
 
@@ -70,6 +159,109 @@ namespace.loggerConfig = (function (namespace, undefined) {
 
 
 
+  /* ================================================================================================= */
+  // Configuration schema - every DEFAULT_CONFIG key, used by configure() and validateConfig()
+  // Types: string, integer, boolean, object, array, function, level (a LOG_LEVELS name),
+  // levelMap (object of level names), thresholdMap (object of millisecond budgets) and enum (one of values)
+  var CONFIG_SCHEMA = {
+    level:                     { type: 'level' },
+    enableServer:              { type: 'boolean' },
+    serverLevel:               { type: 'level' },
+    moduleLevels:              { type: 'levelMap' },
+    moduleServerLevels:        { type: 'levelMap' },
+
+    serverProcessName:         { type: 'string' },
+    retryCount:                { type: 'integer', min: 0, max: 10 },
+    retryAttemptInitial:       { type: 'integer', min: 0 },
+    retryDelayBase:            { type: 'integer', min: 0 },
+    circuitBreakerThreshold:   { type: 'integer', min: 1 },
+    circuitBreakerCooldown:    { type: 'integer', min: 0 },
+    onTransportStatusChange:   { type: 'function', nullable: true },
+
+    serverTransport:           { type: 'enum', values: ['apex', 'rest'] },
+    restUrl:                   { type: 'string', nullable: true },
+    restHeaders:               { type: 'object' },
+    restTokenProvider:         { type: 'function', nullable: true },
+    restTimeout:               { type: 'integer', min: 1 },
+    restBatch:                 { type: 'boolean' },
+    serverPayloadFormat:       { type: 'enum', values: ['json', 'legacy'] },
+
+    batchSize:                 { type: 'integer', min: 1 },
+    batchMaxBytes:             { type: 'integer', min: 1 },
+    batchFlushInterval:        { type: 'integer', min: 0 },
+    maxQueueLength:            { type: 'integer', min: 1 },
+    enableUnloadDelivery:      { type: 'boolean' },
+    unloadEndpoint:            { type: 'string' },
+
+    enableOfflineStorage:      { type: 'boolean' },
+    offlineStorageKey:         { type: 'string' },
+    offlineMaxEntries:         { type: 'integer', min: 1 },
+    offlineMaxAge:             { type: 'integer', min: 0 },
+
+    environmentParam:          { type: 'string', nullable: true },
+    environmentItem:           { type: 'string', nullable: true },
+    environmentHosts:          { type: 'object' },
+
+    remoteConfigProcess:       { type: 'string', nullable: true },
+    remoteConfigItem:          { type: 'string', nullable: true },
+    remoteConfigRefreshInterval: { type: 'integer', min: 0 },
+
+    defaultModuleName:         { type: 'string' },
+    defaultUserName:           { type: 'string' },
+
+    enableDataMasking:         { type: 'boolean' },
+    sensitiveFields:           { type: 'array', items: 'stringOrRegExp' },
+    maskValuePatterns:         { type: 'array', items: 'enum', values: ['creditCard', 'email', 'jwt', 'iban'] },
+    maskStrategy:              { type: 'enum', values: ['full', 'partial', 'hash'] },
+    maskHashSalt:              { type: 'string', nullable: true },
+    maxDataSize:               { type: 'integer', min: 1 },
+    maxStringLength:           { type: 'integer', min: 1 },
+    maxArrayLength:            { type: 'integer', min: 1 },
+    maxDepth:                  { type: 'integer', min: 1 },
+    maxErrorStringLength:      { type: 'integer', min: 0 },
+    maxStackFrames:            { type: 'integer', min: 0 },
+    maxErrorSize:              { type: 'integer', min: 1 },
+
+    globalErrorModuleName:     { type: 'string' },
+    globalErrorDedupeInterval: { type: 'integer', min: 0 },
+
+    metadataGroups:            { type: 'array', items: 'enum', values: ['app', 'url', 'browser', 'trigger', 'items'] },
+    metadataItems:             { type: 'array' },
+    metadataStripParams:       { type: 'array' },
+
+    traceParam:                { type: 'string', nullable: true },
+
+    timingDecimalPlaces:       { type: 'integer', min: 0, max: 20 },
+    timingMode:                { type: 'enum', values: ['log', 'aggregate', 'quiet'] },
+    timingThresholds:          { type: 'thresholdMap' },
+    timingSampleSize:          { type: 'integer', min: 1 },
+    timingFlushInterval:       { type: 'integer', min: 0 }
+  };
+
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  // Options the remote config may change - levels and timing only, never where entries go or what is masked
+  var REMOTE_CONFIG_KEYS = [
+    'level', 'serverLevel', 'moduleLevels', 'moduleServerLevels',
+    'timingDecimalPlaces', 'timingMode', 'timingThresholds', 'timingSampleSize', 'timingFlushInterval'
+  ];
+
+
+
+
+
+
+
+
+
   /* ================================================================================================= */
   // Environment-specific configurations
   var ENV_CONFIGS = {
@@ -117,7 +309,11 @@ namespace.loggerConfig = (function (namespace, undefined) {
       ERROR: 'color: #ff9999; font-weight: bold',        // Soft red
       WARNING: 'color: #ffcc99; font-weight: bold',      // Soft orange
       INFORMATION: 'color: #99ccff; font-weight: bold',  // Soft blue
-      TIMING: 'color: #99cc99; font-weight: bold'       // Soft green
+      TIMING: 'color: #99cc99; font-weight: bold',      // Soft green
+      DEBUG: 'color: #cc99ff; font-weight: bold',       // Soft purple
+      TRACE: 'color: #aaaaaa; font-weight: bold',       // Grey
+      FATAL: 'color: #ffffff; background: #cc3333; font-weight: bold',      // White on red
+      PERMANENT: 'color: #ffffff; background: #336699; font-weight: bold'   // White on blue
     }
   };
 
@@ -191,6 +387,20 @@ namespace.loggerConfig = (function (namespace, undefined) {
     return currentConfig; // Return reference, not copy, so logger.js uses live config
   };
 
+  /**
+   * Register a listener called with the live configuration whenever it changes
+   * (configure, setLevel, environments, remote config)
+   * @param {Function} listener - Called with (currentConfig)
+   * @returns {Function} - Removes the listener
+   */
+  var onConfigChange = function (listener) {
+    configListeners.push(listener);
+    return function () {
+      var index = configListeners.indexOf(listener);
+      if (index !== -1) configListeners.splice(index, 1);
+    };
+  };
+
   /**
    * Get enhanced default configuration with new options
    * @returns {Object} - Enhanced default configuration
@@ -209,14 +419,560 @@ namespace.loggerConfig = (function (namespace, undefined) {
 
   /* ================================================================================================= */
   /**
-   * Set log level
+   * Suggest the closest known option name for a misspelled key (case differences or up to 3 edits)
+   * @param {string} key - The unknown key
+   * @returns {string|null} - The suggested option name, or null
+   */
+  var _suggestOption = function (key) {
+    var distance = function (a, b) {
+      var previous = [];
+      for (var j = 0; j <= b.length; j++) previous[j] = j;
+
+      for (var i = 1; i <= a.length; i++) {
+        var current = [i];
+        for (var k = 1; k <= b.length; k++) {
+          current[k] = Math.min(previous[k] + 1, current[k - 1] + 1,
+            previous[k - 1] + (a.charAt(i - 1) === b.charAt(k - 1) ? 0 : 1));
+        }
+        previous = current;
+      }
+      return previous[b.length];
+    };
+
+    var best = null;
+    var bestDistance = 4;
+    Object.keys(CONFIG_SCHEMA).forEach(function (option) {
+      var d = distance(key.toLowerCase(), option.toLowerCase());
+      if (d < bestDistance) {
+        best = option;
+        bestDistance = d;
+      }
+    });
+
+    return best;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Check one option against CONFIG_SCHEMA, coercing values where it is safe
+   * ('3' to 3, 'true' to true, 'warning' to 'WARNING')
+   * @param {string} key - The option name (must exist in CONFIG_SCHEMA)
+   * @param {*} value - The value to check
+   * @returns {Object} - { value } when valid (possibly coerced), { error } when invalid
+   */
+  var _checkOption = function (key, value) {
+    var rule = CONFIG_SCHEMA[key];
+    var shown = typeof value === 'string' ? '"' + value + '"' : String(value);
+    var levelNames = Object.keys(LOG_LEVELS);
+
+    var toLevel = function (level) {
+      var upper = typeof level === 'string' ? level.toUpperCase() : null;
+      return LOG_LEVELS.hasOwnProperty(upper) ? upper : null;
+    };
+
+    if (value === null && rule.nullable) {
+      return { value: null };
+    }
+
+    switch (rule.type) {
+      case 'string':
+        return typeof value === 'string' ? { value: value } : { error: key + ' must be a string (got ' + shown + ')' };
+
+      case 'boolean':
+        if (value === 'true' || value === 'false') value = value === 'true';
+        return typeof value === 'boolean' ? { value: value } : { error: key + ' must be true or false (got ' + shown + ')' };
+
+      case 'integer':
+        if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) value = parseInt(value, 10);
+        if (typeof value !== 'number' || !isFinite(value) || Math.floor(value) !== value) {
+          return { error: key + ' must be a whole number (got ' + shown + ')' };
+        }
+        if (rule.min !== undefined && value < rule.min) return { error: key + ' must be at least ' + rule.min + ' (got ' + value + ')' };
+        if (rule.max !== undefined && value > rule.max) return { error: key + ' must be at most ' + rule.max + ' (got ' + value + ')' };
+        return { value: value };
+
+      case 'level':
+        return toLevel(value) ? { value: toLevel(value) } : { error: key + ' must be one of ' + levelNames.join(', ') + ' (got ' + shown + ')' };
+
+      case 'enum':
+        var match = rule.values.filter(function (allowed) {
+          return typeof value === 'string' && allowed.toLowerCase() === value.toLowerCase();
+        })[0];
+        return match ? { value: match } : { error: key + ' must be one of ' + rule.values.join(', ') + ' (got ' + shown + ')' };
+
+      case 'function':
+        return typeof value === 'function' ? { value: value } : { error: key + ' must be a function (got ' + shown + ')' };
+
+      case 'object':
+      case 'levelMap':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return { error: key + ' must be an object (got ' + shown + ')' };
+        }
+        if (rule.type === 'object') return { value: value };
+
+        var levels = {};
+        for (var module in value) {
+          if (!value.hasOwnProperty(module)) continue;
+          if (!toLevel(value[module])) {
+            return { error: key + '.' + module + ' must be one of ' + levelNames.join(', ') + ' (got ' + value[module] + ')' };
+          }
+          levels[module] = toLevel(value[module]);
+        }
+        return { value: levels };
+
+      case 'thresholdMap':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          return { error: key + ' must be an object (got ' + shown + ')' };
+        }
+
+        // A budget is milliseconds (WARNING) or { warning, error }, each a number >= 0
+        var toBudget = function (budget) {
+          if (typeof budget === 'string' && /^\s*\d+(\.\d+)?\s*$/.test(budget)) budget = parseFloat(budget);
+          return typeof budget === 'number' && isFinite(budget) && budget >= 0 ? budget : null;
+        };
+        var budgets = {};
+        for (var name in value) {
+          if (!value.hasOwnProperty(name)) continue;
+
+          var budget = value[name];
+          var problem = key + '.' + name + ' must be milliseconds >= 0 or { warning, error } (got ' + JSON.stringify(budget) + ')';
+          if (budget && typeof budget === 'object' && !Array.isArray(budget)) {
+            var levelBudgets = {};
+            var fields = Object.keys(budget);
+            for (var f = 0; f < fields.length; f++) {
+              if ((fields[f] !== 'warning' && fields[f] !== 'error') || toBudget(budget[fields[f]]) === null) {
+                return { error: problem };
+              }
+              levelBudgets[fields[f]] = toBudget(budget[fields[f]]);
+            }
+            if (!fields.length) return { error: problem };
+            budgets[name] = levelBudgets;
+          } else if (toBudget(budget) !== null) {
+            budgets[name] = toBudget(budget);
+          } else {
+            return { error: problem };
+          }
+        }
+        return { value: budgets };
+
+      case 'array':
+        if (!Array.isArray(value)) return { error: key + ' must be an array (got ' + shown + ')' };
+
+        for (var i = 0; i < value.length; i++) {
+          var item = value[i];
+          var isRegExp = Object.prototype.toString.call(item) === '[object RegExp]';
+          if (rule.items === 'stringOrRegExp' && typeof item !== 'string' && !isRegExp) {
+            return { error: key + '[' + i + '] must be a string or RegExp' };
+          }
+          if (rule.items === 'enum' && rule.values.indexOf(item) === -1) {
+            return { error: key + '[' + i + '] must be one of ' + rule.values.join(', ') + ' (got ' + item + ')' };
+          }
+        }
+        return { value: value };
+
+      default:
+        return { value: value };
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Validate configuration options against CONFIG_SCHEMA
+   * @param {Object} options - Configuration options
+   * @returns {Object} - { valid: options that passed (coerced), problems: [{ key, message, suggestion }] }
+   */
+  var _validateOptions = function (options) {
+    var valid = {};
+    var problems = [];
+
+    if (!options || typeof options !== 'object') {
+      problems.push({ key: null, message: 'Configuration must be an object (got ' + String(options) + ')' });
+      return { valid: valid, problems: problems };
+    }
+
+    Object.keys(options).forEach(function (key) {
+      if (!CONFIG_SCHEMA.hasOwnProperty(key)) {
+        var suggestion = _suggestOption(key);
+        problems.push({
+          key: key,
+          message: 'Unknown option "' + key + '"' + (suggestion ? ' - did you mean "' + suggestion + '"?' : ''),
+          suggestion: suggestion
+        });
+        return;
+      }
+
+      var checked = _checkOption(key, options[key]);
+      if (checked.error) {
+        problems.push({ key: key, message: checked.error });
+      } else {
+        valid[key] = checked.value;
+      }
+    });
+
+    return { valid: valid, problems: problems };
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Validate configuration options without applying them
+   * @param {Object} options - Configuration options
+   * @returns {Array} - Problems found, as { key, message, suggestion } (empty when valid)
+   */
+  var validateConfig = function (options) {
+    return _validateOptions(options).problems;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Set one option and remember it as explicit so environment switches keep it
+   * @param {string} key - The configuration key
+   * @param {*} value - The value to set
+   */
+  var _setOption = function (key, value) {
+    explicitConfig[key] = value;
+    _rebuildConfig();
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Defaults, active environment preset and explicit options - the configuration without remote options
+   * @returns {Object} - New configuration object
+   */
+  var _layeredConfig = function () {
+    return Object.assign({}, DEFAULT_CONFIG, ENV_CONFIGS[currentEnvironment] || {}, explicitConfig);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Rebuild the active configuration from defaults, the environment preset, explicit options and remote options
+   * currentConfig is updated in place because logger.js and existing module loggers hold a reference to it
+   */
+  var _rebuildConfig = function () {
+    var localConfig = _layeredConfig();
+    var nextConfig = Object.assign({}, localConfig, remoteConfig);
+
+    // Remote module levels are added to the local ones instead of replacing them
+    ['moduleLevels', 'moduleServerLevels'].forEach(function (key) {
+      if (remoteConfig[key]) {
+        nextConfig[key] = Object.assign({}, localConfig[key], remoteConfig[key]);
+      }
+    });
+
+    Object.keys(currentConfig).forEach(function (key) {
+      if (!nextConfig.hasOwnProperty(key)) {
+        delete currentConfig[key];
+      }
+    });
+    Object.assign(currentConfig, nextConfig);
+
+    configListeners.slice().forEach(function (listener) {
+      try {
+        listener(currentConfig);
+      } catch (e) {
+        console.error('Logger configuration listener failed:', e.message);
+      }
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Detect the environment name for this page
+   * Checked in order: URL parameter (environmentParam), data-logger-environment attribute on the
+   * script tag, page item (environmentItem), hostname (environmentHosts)
+   * @returns {string|null} - Detected environment name, or null
+   */
+  var detectEnvironment = function () {
+    var hasWindow = typeof window !== 'undefined' && window.location;
+
+    if (currentConfig.environmentParam && hasWindow && typeof URLSearchParams !== 'undefined') {
+      var fromUrl = new URLSearchParams(window.location.search).get(currentConfig.environmentParam);
+      if (fromUrl) return fromUrl;
+    }
+
+    if (scriptEnvironment) {
+      return scriptEnvironment;
+    }
+
+    if (currentConfig.environmentItem && typeof apex !== 'undefined' && apex.item) {
+      var fromItem = apex.item(currentConfig.environmentItem).getValue();
+      if (fromItem) return fromItem;
+    }
+
+    if (hasWindow) {
+      var hostname = window.location.hostname;
+      var hosts = currentConfig.environmentHosts || {};
+      for (var host in hosts) {
+        if (!hosts.hasOwnProperty(host)) continue;
+
+        // '*.test.example.com' matches any subdomain
+        var matches = host.indexOf('*.') === 0 ?
+          hostname.slice(-(host.length - 1)) === host.slice(1) :
+          hostname === host;
+        if (matches) return hosts[host];
+      }
+    }
+
+    return null;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Apply the environment detection options given on the script tag, before anything calls configure()
+   * data-logger-environment-param, data-logger-environment-item and data-logger-environment-hosts (JSON)
+   * set environmentParam, environmentItem and environmentHosts
+   */
+  var _applyScriptOptions = function () {
+    if (!scriptTag) return;
+
+    var options = {};
+    var param = scriptTag.getAttribute('data-logger-environment-param');
+    var item = scriptTag.getAttribute('data-logger-environment-item');
+    var hosts = scriptTag.getAttribute('data-logger-environment-hosts');
+
+    if (param) options.environmentParam = param;
+    if (item) options.environmentItem = item;
+    if (hosts) {
+      try {
+        options.environmentHosts = JSON.parse(hosts);
+      } catch (e) {
+        console.warn('Logger configuration: data-logger-environment-hosts is not valid JSON');
+      }
+    }
+
+    if (Object.keys(options).length) {
+      configure(options);
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Apply an environment preset (development, testing, production or a registered one)
+   * Options set with configure() stay on top of the preset. Takes effect immediately for every logger
+   * @param {string} name - Environment name - detected with detectEnvironment() when omitted
+   * @returns {string|null} - The environment applied, or null when none was found
+   */
+  var useEnvironment = function (name) {
+    var environment = name || detectEnvironment();
+    if (!environment) return null;
+
+    if (!ENV_CONFIGS.hasOwnProperty(environment)) {
+      console.warn('Unknown logger environment: ' + environment);
+      return null;
+    }
+
+    currentEnvironment = environment;
+    _rebuildConfig();
+    _syncRemoteConfig();
+    return currentEnvironment;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Remove the active environment preset, keeping explicit options
+   */
+  var clearEnvironment = function () {
+    currentEnvironment = null;
+    _rebuildConfig();
+    _syncRemoteConfig();
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the active environment name
+   * @returns {string|null} - Environment name, or null when none is applied
+   */
+  var getEnvironment = function () {
+    return currentEnvironment;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Register a custom environment preset, or replace a built-in one
+   * @param {string} name - Environment name
+   * @param {Object} options - Configuration options applied by useEnvironment(name)
+   */
+  var registerEnvironment = function (name, options) {
+    var result = _validateOptions(options);
+
+    result.problems.forEach(function (problem) {
+      console.warn('Logger environment ' + name + ': ' + problem.message);
+    });
+
+    ENV_CONFIGS[name] = result.valid;
+
+    if (currentEnvironment === name) {
+      _rebuildConfig();
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Find the level for a module in a module level map
+   * An exact name wins, then the nearest parent of a dotted name ('PaymentModule' for
+   * 'PaymentModule.Refunds'), then the longest matching wildcard prefix ('Payment*'), then '*'
+   * Entries without a module always use the global level
+   * @param {Object} levelMap - Map of module name or pattern to level
+   * @param {string} module - The module name
+   * @returns {string|undefined} - The matching level, or undefined when no entry matches
+   */
+  var resolveModuleLevel = function (levelMap, module) {
+    if (!levelMap || !module) return undefined;
+
+    if (levelMap.hasOwnProperty(module)) {
+      return levelMap[module];
+    }
+
+    // Child loggers inherit the level of their parent
+    for (var parent = module; parent.lastIndexOf('.') > 0;) {
+      parent = parent.slice(0, parent.lastIndexOf('.'));
+      if (levelMap.hasOwnProperty(parent)) {
+        return levelMap[parent];
+      }
+    }
+
+    var bestPrefix = null;
+    Object.keys(levelMap).forEach(function (pattern) {
+      if (pattern.charAt(pattern.length - 1) !== '*') return;
+
+      var prefix = pattern.slice(0, -1);
+      if (module.indexOf(prefix) === 0 && (bestPrefix === null || prefix.length > bestPrefix.length)) {
+        bestPrefix = prefix;
+      }
+    });
+
+    return bestPrefix === null ? undefined : levelMap[bestPrefix + '*'];
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Set log level, globally or for one module
    * @param {string} level - The log level to set
+   * @param {string} module - Optional module name or wildcard pattern ('Payment*', '*')
    */
-  var setLevel = function (level) {
-    if (LOG_LEVELS[level.toUpperCase()] !== undefined) {
-      currentConfig.level = level.toUpperCase();
-    } else {
+  var setLevel = function (level, module) {
+    if (LOG_LEVELS[level.toUpperCase()] === undefined) {
       console.warn('Invalid log level: ' + level);
+      return;
+    }
+
+    if (module) {
+      var moduleLevels = Object.assign({}, _layeredConfig().moduleLevels);
+      moduleLevels[module] = level.toUpperCase();
+      _setOption('moduleLevels', moduleLevels);
+    } else {
+      _setOption('level', level.toUpperCase());
     }
   };
 
@@ -231,10 +987,11 @@ namespace.loggerConfig = (function (namespace, undefined) {
   /* ================================================================================================= */
   /**
    * Get current log level
+   * @param {string} module - Optional module name - returns the level that applies to that module
    * @returns {string} - Current log level
    */
-  var getLevel = function () {
-    return currentConfig.level;
+  var getLevel = function (module) {
+    return (resolveModuleLevel(currentConfig.moduleLevels, module) || currentConfig.level).toUpperCase();
   };
 
 
@@ -242,11 +999,68 @@ namespace.loggerConfig = (function (namespace, undefined) {
 
   /* ================================================================================================= */
   /**
-   * Reset log level to default (INFORMATION)
+   * Reset log level to default (INFORMATION, or the active environment's level)
    * Convenient way to restore default logging after changing level
+   * @param {string} module - Optional module name - removes only that module's level
    */
-  var resetLevel = function () {
-    currentConfig.level = DEFAULT_CONFIG.level;
+  var resetLevel = function (module) {
+    if (module) {
+      var moduleLevels = Object.assign({}, _layeredConfig().moduleLevels);
+      delete moduleLevels[module];
+      _setOption('moduleLevels', moduleLevels);
+    } else {
+      // Back to the environment's level (or the default when no environment is active)
+      delete explicitConfig.level;
+      _rebuildConfig();
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Set server level, globally or for one module
+   * Entries at or above this level are sent to the server without sendToServer
+   * @param {string} level - The server level to set (OFF disables automatic sending)
+   * @param {string} module - Optional module name or wildcard pattern ('Payment*', '*')
+   */
+  var setServerLevel = function (level, module) {
+    if (LOG_LEVELS[level.toUpperCase()] === undefined) {
+      console.warn('Invalid log level: ' + level);
+      return;
+    }
+
+    if (module) {
+      var moduleServerLevels = Object.assign({}, _layeredConfig().moduleServerLevels);
+      moduleServerLevels[module] = level.toUpperCase();
+      _setOption('moduleServerLevels', moduleServerLevels);
+    } else {
+      _setOption('serverLevel', level.toUpperCase());
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get current server level
+   * @param {string} module - Optional module name - returns the server level that applies to that module
+   * @returns {string} - Current server level
+   */
+  var getServerLevel = function (module) {
+    return (resolveModuleLevel(currentConfig.moduleServerLevels, module) || currentConfig.serverLevel || 'OFF').toUpperCase();
   };
 
 
@@ -260,10 +1074,21 @@ namespace.loggerConfig = (function (namespace, undefined) {
   /* ================================================================================================= */
   /**
    * Configure logger options
+   * Options are validated against CONFIG_SCHEMA: safe values are coerced, invalid values and
+   * unknown keys are reported with console.warn and skipped so the live config stays intact
    * @param {Object} options - Configuration options
    */
   var configure = function (options) {
-    Object.assign(currentConfig, options);
+    var result = _validateOptions(options);
+
+    // Invalid values and unknown keys are reported and skipped, the rest is applied
+    result.problems.forEach(function (problem) {
+      console.warn('Logger configuration: ' + problem.message);
+    });
+
+    Object.assign(explicitConfig, result.valid);
+    _rebuildConfig();
+    _syncRemoteConfig();
   };
 
 
@@ -293,25 +1118,336 @@ namespace.loggerConfig = (function (namespace, undefined) {
 
 
 
+  /* ================================================================================================= */
+  /**
+   * Convert an expiresAt value (epoch milliseconds or ISO date string) to epoch milliseconds
+   * @param {number|string} value - Expiry value
+   * @returns {number|null} - Epoch milliseconds, or null when no (valid) expiry is given
+   */
+  var _toTime = function (value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    var time = typeof value === 'number' ? value : new Date(value).getTime();
+    return isFinite(time) ? time : null;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Check whether a rule target list (users or pages) includes the current value
+   * A missing or empty list matches everything; comparison is case-insensitive
+   * @param {Array} targets - Target values from the rule
+   * @param {string|number} current - Current user name or page ID
+   * @returns {boolean} - Whether the rule applies
+   */
+  var _matchesTarget = function (targets, current) {
+    if (!Array.isArray(targets) || targets.length === 0) return true;
+
+    return targets.some(function (target) {
+      return String(target).toUpperCase() === String(current).toUpperCase();
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Resolve a remote config payload into options for the current user and page
+   * Payload: { config, expiresAt, rules: [{ users, pages, modules, config, expiresAt }] }
+   * Rules with modules set level/serverLevel for those modules only (moduleLevels/moduleServerLevels)
+   * @param {Object} payload - Remote config payload
+   * @returns {Object} - { options, nextExpiry } where nextExpiry is the next time the result changes
+   */
+  var _resolveRemoteConfig = function (payload) {
+    var now = Date.now();
+    var env = (typeof apex !== 'undefined' && apex.env) || {};
+    var options = {};
+    var nextExpiry = null;
+
+    var isActive = function (expiresAt) {
+      var time = _toTime(expiresAt);
+      if (time === null) return true;
+      if (time <= now) return false;
+
+      nextExpiry = nextExpiry === null ? time : Math.min(nextExpiry, time);
+      return true;
+    };
+
+    if (!payload || !isActive(payload.expiresAt)) {
+      return { options: options, nextExpiry: nextExpiry };
+    }
+
+    Object.assign(options, payload.config);
+
+    (payload.rules || []).forEach(function (rule) {
+      if (!rule || !isActive(rule.expiresAt) ||
+          !_matchesTarget(rule.users, env.APP_USER || currentConfig.defaultUserName) ||
+          !_matchesTarget(rule.pages, env.APP_PAGE_ID || 0)) {
+        return;
+      }
+
+      var ruleConfig = rule.config || {};
+      if (!Array.isArray(rule.modules) || rule.modules.length === 0) {
+        Object.assign(options, ruleConfig);
+        return;
+      }
+
+      rule.modules.forEach(function (module) {
+        if (ruleConfig.level) {
+          options.moduleLevels = Object.assign({}, options.moduleLevels);
+          options.moduleLevels[module] = ruleConfig.level;
+        }
+        if (ruleConfig.serverLevel) {
+          options.moduleServerLevels = Object.assign({}, options.moduleServerLevels);
+          options.moduleServerLevels[module] = ruleConfig.serverLevel;
+        }
+      });
+    });
+
+    return { options: options, nextExpiry: nextExpiry };
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Apply a remote config payload over the explicit options, and schedule its expiry
+   * @param {Object|string|null} payload - Remote config payload (JSON string or object, null to remove)
+   * @returns {Object} - The options now applied from the server
+   */
+  var _applyRemoteConfig = function (payload) {
+    if (typeof payload === 'string') {
+      payload = payload ? JSON.parse(payload) : null;
+    }
+
+    remotePayload = payload || null;
+    clearTimeout(remoteExpiryTimer);
+    remoteExpiryTimer = null;
+
+    var resolved = _resolveRemoteConfig(remotePayload);
+    var allowed = {};
+
+    Object.keys(resolved.options).forEach(function (key) {
+      if (REMOTE_CONFIG_KEYS.indexOf(key) === -1) {
+        console.warn('Logger remote configuration: "' + key + '" cannot be set remotely, ignored');
+        return;
+      }
+      allowed[key] = resolved.options[key];
+    });
+
+    var result = _validateOptions(allowed);
+
+    result.problems.forEach(function (problem) {
+      console.warn('Logger remote configuration: ' + problem.message);
+    });
+
+    remoteConfig = result.valid;
+    _rebuildConfig();
+
+    // Re-resolve when the next rule expires (setTimeout accepts at most ~24.8 days)
+    if (resolved.nextExpiry !== null) {
+      remoteExpiryTimer = setTimeout(function () {
+        _applyRemoteConfig(remotePayload);
+      }, Math.min(resolved.nextExpiry - Date.now() + 10, 2147483647));
+    }
+
+    return Object.assign({}, remoteConfig);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Start, restart or stop remote config loading when its options change
+   * Called after configure() and environment changes
+   */
+  var _syncRemoteConfig = function () {
+    var source = currentConfig.remoteConfigProcess || currentConfig.remoteConfigItem ?
+      [currentConfig.remoteConfigProcess, currentConfig.remoteConfigItem, currentConfig.remoteConfigRefreshInterval].join('|') :
+      null;
+
+    if (source === remoteSource) return;
+    remoteSource = source;
+
+    clearInterval(remoteRefreshTimer);
+    remoteRefreshTimer = null;
+    if (!source) return;
+
+    if (currentConfig.remoteConfigRefreshInterval > 0) {
+      remoteRefreshTimer = setInterval(refreshRemoteConfig, currentConfig.remoteConfigRefreshInterval);
+    }
+    refreshRemoteConfig();
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Load the remote config now, from remoteConfigItem or the remoteConfigProcess Ajax process
+   * The page ID is sent as x01 so the process can also target pages itself. On failure the previous
+   * remote config stays in place until it expires
+   * @returns {Promise<boolean>} - Resolves true when a config was loaded and applied
+   */
+  var refreshRemoteConfig = function () {
+    var hasApex = typeof apex !== 'undefined';
+
+    try {
+      if (currentConfig.remoteConfigItem && hasApex && apex.item) {
+        _applyRemoteConfig(apex.item(currentConfig.remoteConfigItem).getValue());
+        return Promise.resolve(true);
+      }
+    } catch (e) {
+      console.warn('Logger remote configuration could not be read: ' + e.message);
+      return Promise.resolve(false);
+    }
+
+    if (!currentConfig.remoteConfigProcess || !hasApex || !apex.server) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise(function (resolve) {
+      try {
+        apex.server.process(currentConfig.remoteConfigProcess, {
+          x01: (apex.env && apex.env.APP_PAGE_ID) || 0
+        }, {
+          dataType: 'json',
+          success: function (data) {
+            try {
+              _applyRemoteConfig(data);
+              resolve(true);
+            } catch (e) {
+              console.warn('Logger remote configuration is not valid JSON: ' + e.message);
+              resolve(false);
+            }
+          },
+          error: function (jqXHR, textStatus, errorThrown) {
+            console.warn('Logger remote configuration could not be loaded: ' + (errorThrown || textStatus));
+            resolve(false);
+          }
+        });
+      } catch (e) {
+        console.warn('Logger remote configuration could not be loaded: ' + e.message);
+        resolve(false);
+      }
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the options currently applied from the remote config
+   * @returns {Object} - Remote options (empty when none apply or they have expired)
+   */
+  var getRemoteConfig = function () {
+    return Object.assign({}, remoteConfig);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Remove the remote config until the next refresh, restoring the local configuration
+   */
+  var clearRemoteConfig = function () {
+    _applyRemoteConfig(null);
+  };
+
+
+
+
+
+
+
+
+
+  // Detect the environment at load, checking the URL parameter, data-logger-environment, the page item and
+  // the hostname in that order - with the detection options from the script tag, as configure() runs later
+  _applyScriptOptions();
+  if (!useEnvironment() && currentConfig.environmentItem && typeof document !== 'undefined' && document.readyState === 'loading') {
+    // A page item is not rendered yet when this file is loaded in the page head
+    document.addEventListener('DOMContentLoaded', function () {
+      if (!currentEnvironment) useEnvironment();
+    });
+  }
+
+
   /* ================================================================================================= */
   /* Return public API */
   /* ================================================================================================= */
   return {
     // Configuration functions
     getEnvConfig: getEnvConfig,
+    useEnvironment: useEnvironment,
+    clearEnvironment: clearEnvironment,
+    getEnvironment: getEnvironment,
+    detectEnvironment: detectEnvironment,
+    registerEnvironment: registerEnvironment,
     getConsoleConfig: getConsoleConfig,
     getEnhancedConfig: getEnhancedConfig,
     getCurrentConfig: getCurrentConfig,
+    onConfigChange: onConfigChange,
 
     // Logger control functions (moved from logger.js)
     setLevel: setLevel,
     getLevel: getLevel,
     resetLevel: resetLevel,
+    setServerLevel: setServerLevel,
+    getServerLevel: getServerLevel,
+    resolveModuleLevel: resolveModuleLevel,
     configure: configure,
     getConfig: getConfig,
+    validateConfig: validateConfig,
+    refreshRemoteConfig: refreshRemoteConfig,
+    getRemoteConfig: getRemoteConfig,
+    clearRemoteConfig: clearRemoteConfig,
 
     // Constants
-    LOG_LEVELS: LOG_LEVELS
+    LOG_LEVELS: LOG_LEVELS,
+    CONFIG_SCHEMA: CONFIG_SCHEMA
   };
 
 })(namespace);
@@ -17,11 +17,118 @@ namespace.logger = (function (namespace) {
   var config = namespace.loggerConfig.getCurrentConfig();
 
   // Private variables
-  var timingUnits = {};
+  var timingUnits = {};          // Running timers started with the global timeStart(), by unit
+  var timingStats = {};          // Aggregated measurements by module and unit: { unit, module, count, min, max, total, samples }
+  var timingFlushTimer = null;   // Timer that sends the timing summary (config.timingFlushInterval)
+
+  // Server transport queue
+  var serverQueue = [];         // Pending { entry, size } items waiting to be sent
+  var serverQueueBytes = 0;     // Serialized size of everything in serverQueue
+  var flushTimer = null;        // Interval flush timer (set while entries are waiting)
+  var flushChain = Promise.resolve();  // Serializes flushes so batches keep their order
+  var droppedEntries = 0;       // Entries dropped because the queue was full (since page load)
+  var queueOverflowing = false; // True from the first drop until the queue has room again - one warning per overflow
+
+  // Offline store for entries the server did not accept
+  var pendingStore = null;      // Promise of the { read, write } store, opened on first use
+  var pendingChain = Promise.resolve();  // Serializes store updates
+  var replayInFlight = null;    // Promise of the running replay, if any
+
+  // Circuit breaker for the server transport (CLOSED -> OPEN -> HALF_OPEN -> CLOSED)
+  var transportStatus = {
+    state: 'CLOSED',            // CLOSED sends normally, OPEN skips sends, HALF_OPEN allows one probe
+    consecutiveFailures: 0,
+    lastError: null,
+    lastFailureAt: null,
+    lastSuccessAt: null,
+    openedAt: null,
+    changedAt: null
+  };
+  var probeInFlight = false;    // True while the half-open probe request is running
+  var probeTimer = null;        // Cooldown timer that triggers the next probe
+  var restToken = null;         // Last token from config.restTokenProvider (reused for unload delivery)
+  var keepaliveBytes = 0;       // Body bytes of unload (keepalive) requests still in flight
+  var KEEPALIVE_LIMIT = 65536;  // Browsers reject keepalive requests beyond 64 KB of bodies in flight
+
+  // Global error handlers (installGlobalHandlers)
+  var uninstallGlobalHandlers = null;  // Set while the handlers are installed
+  var globalErrorsSeen = {};    // Dedupe state per error key: { loggedAt, skipped }
+
+  // Trace context (W3C traceparent ids) - entries carry the innermost active trace, or the page trace
+  var pageTrace = null;         // Trace for everything logged on this page load, created on first use
+  var traceStack = [];          // Active traces, innermost last - replaced, never mutated, so async callbacks can keep a snapshot
+  var uninstallTraceInjection = null;  // Set while apex.server.process is wrapped
+
+  // Global context merged into every entry's extra (setContext, pushContext, withContext)
+  var globalContext = {};       // Fields set with setContext()
+  var contextLayers = [];       // Layers from pushContext() / withContext() active right now, innermost last
+
+  // Last user event, reported by the 'trigger' metadata group (dynamic actions run on these events)
+  var lastUserEvent = null;     // { target, type, at }
+  var triggerCaptureInstalled = false;  // Document listeners are added the first time the group is enabled
+  var TRIGGER_MAX_AGE = 5000;   // Milliseconds after which the last user event is no longer reported
+
+  // Shared module loggers by name (getLogger)
+  var loggerRegistry = {};
+
+  // Appenders receive every log entry in registration order (built-in: console, apex)
+  var appenders = [];           // { name, level, server, filter, format, write, enabled }
+
+  // Version of the JSON payload document ({ schemaVersion, entries }) - raised when fields change incompatibly
+  var PAYLOAD_SCHEMA_VERSION = 1;
 
   // Log levels - Use from logger-config
   var LOG_LEVELS = namespace.loggerConfig.LOG_LEVELS;
 
+  // Value detectors for config.maskValuePatterns (validate filters out false positives)
+  var VALUE_DETECTORS = {
+    creditCard: {
+      pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+      validate: function (match) {
+        var digits = match.replace(/\D/g, '');
+
+        // Issuer prefixes (Visa, Mastercard, Amex, Diners, JCB, Discover, UnionPay, Maestro) - rules out
+        // epoch-millisecond timestamps and most numeric ids that happen to pass the checksum
+        if (!/^(?:4|5|6|3[47]|3(?:0[0-5]|[689])|35(?:2[89]|[3-8])|2(?:22[1-9]|2[3-9]|[3-6]|7[01]|720))/.test(digits)) {
+          return false;
+        }
+
+        // Luhn checksum
+        var sum = 0;
+        for (var i = 0; i < digits.length; i++) {
+          var digit = parseInt(digits.charAt(digits.length - 1 - i), 10);
+          if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+          }
+          sum += digit;
+        }
+        return sum % 10 === 0;
+      }
+    },
+    email: {
+      pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+    },
+    jwt: {
+      pattern: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g
+    },
+    iban: {
+      pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g,
+      validate: function (match) {
+        // ISO 13616 mod-97 check
+        var iban = match.replace(/ /g, '');
+        var numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, function (letter) {
+          return String(letter.charCodeAt(0) - 55);
+        });
+        var remainder = 0;
+        for (var i = 0; i < numeric.length; i++) {
+          remainder = (remainder * 10 + parseInt(numeric.charAt(i), 10)) % 97;
+        }
+        return remainder === 1;
+      }
+    }
+  };
+
   /* ================================================================================================= */
   /* ================================================================================================= */
   /*                                           PRIVATE FUNCTIONS                                       */
@@ -33,15 +140,62 @@ namespace.logger = (function (namespace) {
    * @created 2025
    *
    * @param {string|number} level - The log level to check
+   * @param {string} module - The module name (config.moduleLevels can override the level per module)
    *
    * @returns {boolean} - Whether the level should be logged
    */
-  var _shouldLog = function (level) {
+  var _shouldLog = function (level, module) {
+    return _meetsThreshold(level, namespace.loggerConfig.getLevel(module));
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Check if an entry should be sent to the server automatically based on config.serverLevel
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string|number} level - The log level to check
+   * @param {string} module - The module name (config.moduleServerLevels can override the level per module)
+   *
+   * @returns {boolean} - Whether the entry should be sent
+   */
+  var _shouldSendToServer = function (level, module) {
+    return _meetsThreshold(level, namespace.loggerConfig.getServerLevel(module));
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Compare a log level with a configured threshold
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string|number} level - The log level to check
+   * @param {string} threshold - The configured level name
+   *
+   * @returns {boolean} - Whether the level passes the threshold
+   */
+  var _meetsThreshold = function (level, threshold) {
     var levelNum = typeof level === 'string' ? LOG_LEVELS[level.toUpperCase()] : level;
-    var configNum = LOG_LEVELS[config.level.toUpperCase()];
+    var configNum = LOG_LEVELS[threshold];
 
     // OFF blocks everything - no logging at all
-    if (configNum === LOG_LEVELS.OFF) {
+    if (configNum === LOG_LEVELS.OFF || configNum === undefined) {
       return false;
     }
 
@@ -64,7 +218,8 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Send log entry to server via AJAX with enhanced error handling
+   * Queue a log entry for the server transport
+   * Entries are buffered and sent in batches by _flushQueue (by count, byte size or interval)
    * @author Angel O. Flores Torres
    * @created 2025
    *
@@ -73,51 +228,32 @@ namespace.logger = (function (namespace) {
   var _sendToServer = function (logEntry) {
     if (!config.enableServer) return;
 
-    var retryAttempts = config.retryAttemptInitial || 0;
-    var maxRetries = config.retryCount || 1;
+    var maxQueueLength = config.maxQueueLength || 500;
+    var batchSize = _batchSize();
+    var batchMaxBytes = config.batchMaxBytes || 50000;
+    var size = JSON.stringify(logEntry).length;
 
-    var attemptSend = function () {
-      try {
-        var processName = config.serverProcessName || 'JS_LOGGER';
-        var defaultModule = config.defaultModuleName || 'JS_LOGGER';
-        var retryDelayBase = config.retryDelayBase || 1000;
-
-        apex.server.process(processName, {
-          x01: logEntry.level,
-          x02: logEntry.text,
-          x03: logEntry.module || defaultModule,
-          x04: JSON.stringify(logEntry.extra || {}),
-          x05: logEntry.timestamp,
-          x06: logEntry.user,
-          x07: logEntry.page,
-          x08: logEntry.session
-        }, {
-          success: function () {
-            // Success - reset any error flags
-            config._serverError = false;
-          },
-          error: function () {
-            retryAttempts++;
-            if (retryAttempts <= maxRetries) {
-              // Exponential backoff retry
-              setTimeout(attemptSend, retryDelayBase * retryAttempts);
-            } else {
-              // Mark server as failed, switch to console-only mode
-              config._serverError = true;
-              console.warn('Logger server failed, using console fallback');
-              console.log(_formatConsoleMessage(logEntry));
-            }
-          }
-        });
-      } catch (e) {
-        // APEX not available or other critical error
-        config._serverError = true;
-        console.error('Logger server error:', e.message);
-        console.log(_formatConsoleMessage(logEntry));
-      }
-    };
+    serverQueue.push({ entry: logEntry, size: size });
+    serverQueueBytes += size;
+
+    // Drop the oldest entries when the queue is full so a chatty page cannot grow it forever; the first
+    // drop of an overflow is reported right away, later ones only counted, so an outage does not flood the console
+    var dropped = 0;
+    while (serverQueue.length > maxQueueLength) {
+      serverQueueBytes -= serverQueue.shift().size;
+      dropped++;
+    }
+    droppedEntries += dropped;
+    if (dropped && !queueOverflowing) {
+      console.warn(`Logger queue is full (${maxQueueLength} entries), dropping the oldest entries - see getTransportStatus().droppedEntries`);
+    }
+    queueOverflowing = dropped > 0;
 
-    attemptSend();
+    if (serverQueue.length >= batchSize || serverQueueBytes >= batchMaxBytes) {
+      _flushQueue();
+    } else {
+      _scheduleFlush();
+    }
   };
 
 
@@ -130,46 +266,17 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Output log entry to console with colors and appropriate console method
+   * Read a numeric option that may legitimately be 0 (retryCount, timingDecimalPlaces, ...)
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {Object} logEntry - The log entry to output
+   * @param {*} value - The configured value
+   * @param {number} fallback - Used when the option is not a number
+   *
+   * @returns {number} - The option value
    */
-  var _outputToConsole = function (logEntry) {
-    var timestamp = new Date(logEntry.timestamp).toLocaleTimeString();
-    var level = logEntry.level.toUpperCase();
-    var module = logEntry.module ? `[${logEntry.module}]` : '';
-
-    // Get styles from config (single source of truth)
-    var consoleConfig = namespace.loggerConfig.getConsoleConfig();
-    var styles = consoleConfig.levelStyles;
-
-    // Prepare console arguments - log extra data as separate argument for better formatting
-    var message = `%c[${timestamp}] ${level}%c ${module} ${logEntry.text}`;
-    var consoleArgs = [message, styles[level] || styles.INFORMATION, 'color: inherit'];
-
-    // Add extra data as separate argument so browser can format it nicely
-    if (logEntry.extra) {
-      consoleArgs.push(logEntry.extra);
-    }
-
-    // Use appropriate console method with styles from config
-    switch (level) {
-      case 'ERROR':
-        console.error.apply(console, consoleArgs);
-        break;
-      case 'WARNING':
-        console.warn.apply(console, consoleArgs);
-        break;
-      case 'TIMING':
-        console.log.apply(console, consoleArgs);
-        break;
-      case 'INFORMATION': // this is the default level logger.log
-      default:
-        console.log.apply(console, consoleArgs);
-        break;
-    }
+  var _numberOption = function (value, fallback) {
+    return typeof value === 'number' && !isNaN(value) ? value : fallback;
   };
 
 
@@ -182,21 +289,17 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Format log entry for console output (fallback for server errors)
+   * Start the flush timer if it is not already running
    * @author Angel O. Flores Torres
    * @created 2025
-   *
-   * @param {Object} logEntry - The log entry to format
-   *
-   * @returns {string} - Formatted log message
    */
-  var _formatConsoleMessage = function (logEntry) {
-    var timestamp = new Date(logEntry.timestamp).toLocaleTimeString();
-    var level = logEntry.level.toUpperCase();
-    var module = logEntry.module ? `[${logEntry.module}]` : '';
-    var extra = logEntry.extra ? ` ${JSON.stringify(logEntry.extra)}` : '';
+  var _scheduleFlush = function () {
+    if (flushTimer) return;
 
-    return `[${timestamp}] ${level} ${module} ${logEntry.text}${extra}`;
+    flushTimer = setTimeout(function () {
+      flushTimer = null;
+      _flushQueue();
+    }, _numberOption(config.batchFlushInterval, 5000));
   };
 
 
@@ -209,43 +312,18 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Sanitize data to prevent issues with circular references and size limits
+   * Number of entries per server request
+   * The legacy payload format carries one entry per request in x01-x08, so it always sends batches of one
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {*} data - The data to sanitize
-   *
-   * @returns {*} - Sanitized data
+   * @returns {number} - Maximum entries per batch
    */
-  var _sanitizeData = function (data) {
-    if (!data) return data;
-
-    try {
-      // Check for circular references
-      JSON.stringify(data);
-
-      // Check size limit
-      var dataStr = JSON.stringify(data);
-      if (dataStr.length > config.maxDataSize) {
-        return {
-          _truncated: true,
-          _originalSize: dataStr.length,
-          data: dataStr.substring(0, config.maxDataSize) + '...'
-        };
-      }
-
-      // Mask sensitive fields
-      return _maskSensitiveFields(data);
-
-    } catch (e) {
-      // Circular reference or other JSON error
-      var maxErrorLength = config.maxErrorStringLength || 100;
-      return {
-        _error: 'Could not serialize data',
-        _type: typeof data,
-        _string: String(data).substring(0, maxErrorLength)
-      };
+  var _batchSize = function () {
+    if (config.serverPayloadFormat === 'legacy' && config.serverTransport !== 'rest') {
+      return 1;
     }
+    return config.batchSize || 1;
   };
 
 
@@ -258,38 +336,30 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Mask sensitive fields in data
+   * Take the next batch from the queue respecting batchSize and batchMaxBytes
+   * A single entry larger than batchMaxBytes is still sent on its own
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {*} data - The data to mask
-   *
-   * @returns {*} - Data with sensitive fields masked
+   * @returns {Array} - Log entries for one server request
    */
-  var _maskSensitiveFields = function (data) {
-    if (!config.enableDataMasking || !data || typeof data !== 'object') {
-      return data;
-    }
-
-    var sensitiveFields = config.sensitiveFields || ['password', 'token', 'ssn'];
-    var masked = {};
-
-    for (var key in data) {
-      if (data.hasOwnProperty(key)) {
-        var lowerKey = key.toLowerCase();
-        var isSensitive = sensitiveFields.some(function (field) {
-          return lowerKey.includes(field);
-        });
-
-        if (isSensitive) {
-          masked[key] = '***MASKED***';
-        } else {
-          masked[key] = data[key];
-        }
+  var _nextBatch = function () {
+    var batchSize = _batchSize();
+    var batchMaxBytes = config.batchMaxBytes || 50000;
+    var batch = [];
+    var bytes = 0;
+
+    while (serverQueue.length && batch.length < batchSize) {
+      if (batch.length && bytes + serverQueue[0].size > batchMaxBytes) {
+        break;
       }
+      var item = serverQueue.shift();
+      serverQueueBytes -= item.size;
+      bytes += item.size;
+      batch.push(item.entry);
     }
 
-    return masked;
+    return batch;
   };
 
 
@@ -302,71 +372,69 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Create log entry object with enhanced features
+   * Build the versioned JSON document sent for a batch of log entries
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {string} text - The log message
-   * @param {string} module - The module name
-   * @param {Object} extra - Extra data
-   * @param {string} level - The log level
+   * @param {Array} batch - Log entries to send
    *
-   * @returns {Object} - Formatted log entry
+   * @returns {Object} - { schemaVersion, sentAt, entries }
    */
-  var _createLogEntry = function (text, module, extra, level) {
-    var defaultUser = config.defaultUserName || 'UNKNOWN';
-    var logEntry = {
-      timestamp: new Date().toISOString(),
-      level: level || 'INFORMATION',
-      text: text,
-      module: module,
-      extra: _sanitizeData(extra),
-      user: (typeof apex !== 'undefined' && apex.env && apex.env.APP_USER) || defaultUser,
-      page: (typeof apex !== 'undefined' && apex.env && apex.env.APP_PAGE_ID) || 0,
-      session: (typeof apex !== 'undefined' && apex.env && apex.env.APP_SESSION) || 0
+  var _buildPayloadDocument = function (batch) {
+    return {
+      schemaVersion: PAYLOAD_SCHEMA_VERSION,
+      sentAt: new Date().toISOString(),
+      entries: batch
     };
-
-    return logEntry;
   };
 
-  /* ================================================================================================= */
-  /*                                            PUBLIC FUNCTIONS                                       */
-  /* ================================================================================================= */
 
+
+
+
+
+
+
+
+  /* ================================================================================================= */
   /**
-   * Console logging function with optional server storage - Always INFORMATION level
+   * Build the APEX process parameters for a batch of log entries
+   * json (default): p_clob_01 holds the versioned JSON document
+   * legacy: the single entry of the batch is mapped onto x01-x08 (compatible with 1.0 processes); fields added
+   * since 1.0 travel in the x04 extra JSON, so a captured Error is still found at extra.error
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {string} text - The log message
-   * @param {string} module - The module name
-   * @param {Object} extra - Extra data
-   * @param {Object} options - Optional configuration
-   * @param {boolean} options.sendToServer - If true, also send to server (default: false)
+   * @param {Array} batch - Log entries to send
+   *
+   * @returns {Object} - Process parameters
    */
-  var log = function (text, module, extra, options) {
-    try {
-      var opts = options || {};
-      var sendToServer = opts.sendToServer === true;
-
-      var logEntry = _createLogEntry(text, module, extra, 'INFORMATION');
-
-      // Console output respects level filtering
-      if (_shouldLog(logEntry.level)) {
-        _outputToConsole(logEntry);
-      }
+  var _buildServerPayload = function (batch) {
+    if (config.serverPayloadFormat === 'legacy') {
+      var logEntry = batch[0];
+      var extra = Object.assign({}, logEntry.extra);
+
+      ['id', 'traceId', 'spanId', 'error', 'stackFrames', 'metadata'].forEach(function (field) {
+        if (logEntry[field] !== undefined) {
+          extra[field] = logEntry[field];
+        }
+      });
 
-      // Optionally send to server (bypasses level check)
-      if (sendToServer && config.enableServer) {
-        _sendToServer(logEntry);
-      }
-    } catch (e) {
-      // Fallback logging if main logging fails
-      if (typeof console !== 'undefined') {
-        console.error('Logger error:', e.message);
-        console.log('Original message:', text);
-      }
+      return {
+        x01: logEntry.level,
+        x02: logEntry.text,
+        x03: logEntry.module || config.defaultModuleName || 'JS_LOGGER',
+        x04: JSON.stringify(extra),
+        x05: logEntry.timestamp,
+        x06: logEntry.user,
+        x07: logEntry.page,
+        x08: logEntry.session
+      };
     }
+
+    return {
+      p_clob_01: JSON.stringify(_buildPayloadDocument(batch))
+    };
   };
 
 
@@ -379,33 +447,43 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Server logging function (includes database storage) - Always INFORMATION level
+   * Move the circuit breaker to a new state and notify config.onTransportStatusChange
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {string} text - The log message
-   * @param {string} module - The module name
-   * @param {Object} extra - Extra data
+   * @param {string} state - CLOSED, OPEN or HALF_OPEN
    */
-  var logServer = function (text, module, extra) {
-    try {
-      var logEntry = _createLogEntry(text, module, extra, 'INFORMATION');
+  var _setTransportState = function (state) {
+    var previousState = transportStatus.state;
+    if (previousState === state) return;
 
-      // Server logging bypasses level check - always send if enabled
-      // This allows server logging even when console is disabled
-      if (config.enableServer) {
-        _sendToServer(logEntry);
-      }
+    transportStatus.state = state;
+    transportStatus.changedAt = new Date().toISOString();
 
-      // Console output respects level filtering
-      if (_shouldLog(logEntry.level)) {
-        _outputToConsole(logEntry);
-      }
-    } catch (e) {
-      // Fallback logging if main logging fails
-      if (typeof console !== 'undefined') {
-        console.error('Logger server error:', e.message);
-        console.log('Original message:', text);
+    // Only the transitions between working and not working are reported, not every failed probe
+    if (state === 'OPEN' && previousState === 'CLOSED') {
+      console.warn('Logger server circuit opened after ' + transportStatus.consecutiveFailures + ' consecutive failures, ' +
+        (config.enableOfflineStorage ? 'entries are stored for replay' : 'entries go to the console'));
+    }
+    if (state === 'CLOSED') {
+      console.warn('Logger server circuit closed, delivery resumed');
+    }
+
+    if (state === 'OPEN') {
+      transportStatus.openedAt = Date.now();
+
+      // Probe again after the cooldown using the entries stored while the circuit was open
+      clearTimeout(probeTimer);
+      probeTimer = setTimeout(function () {
+        _replayIfEnabled();
+      }, _numberOption(config.circuitBreakerCooldown, 30000));
+    }
+
+    if (typeof config.onTransportStatusChange === 'function') {
+      try {
+        config.onTransportStatusChange(getTransportStatus(), previousState);
+      } catch (e) {
+        console.error('Logger transport status callback error:', e.message);
       }
     }
   };
@@ -420,39 +498,31 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Error logging with optional server storage - ERROR level
+   * Check whether the circuit breaker lets a server request through
+   * An open circuit switches to HALF_OPEN once the cooldown has passed and allows a single probe
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {string} text - The error message
-   * @param {string} module - The module name
-   * @param {Object} extra - Extra data
-   * @param {Object} options - Optional configuration
-   * @param {boolean} options.sendToServer - If true, also send to server (default: false)
+   * @returns {boolean} - Whether the request may be sent
    */
-  var error = function (text, module, extra, options) {
-    try {
-      var opts = options || {};
-      var sendToServer = opts.sendToServer === true;
-
-      var logEntry = _createLogEntry(text, module, extra, 'ERROR');
+  var _circuitAllowsSend = function () {
+    if (transportStatus.state === 'CLOSED') {
+      return true;
+    }
 
-      // Console output respects level filtering
-      if (_shouldLog(logEntry.level)) {
-        _outputToConsole(logEntry);
+    if (transportStatus.state === 'OPEN') {
+      if (Date.now() - transportStatus.openedAt < _numberOption(config.circuitBreakerCooldown, 30000)) {
+        return false;
       }
+      _setTransportState('HALF_OPEN');
+    }
 
-      // Optionally send to server (bypasses level check)
-      if (sendToServer && config.enableServer) {
-        _sendToServer(logEntry);
-      }
-    } catch (e) {
-      // Fallback logging if main logging fails
-      if (typeof console !== 'undefined') {
-        console.error('Logger error:', e.message);
-        console.log('Original message:', text);
-      }
+    // HALF_OPEN - only one probe at a time
+    if (probeInFlight) {
+      return false;
     }
+    probeInFlight = true;
+    return true;
   };
 
 
@@ -465,39 +535,3226 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Warning logging with optional server storage - WARNING level
+   * Record the outcome of a server request in the circuit breaker
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {string} text - The warning message
-   * @param {string} module - The module name
+   * @param {boolean} delivered - Whether the server accepted the request
+   * @param {string} errorText - Error description when it failed
+   */
+  var _recordTransportResult = function (delivered, errorText) {
+    var threshold = config.circuitBreakerThreshold || 3;
+    probeInFlight = false;
+
+    if (delivered) {
+      transportStatus.consecutiveFailures = 0;
+      transportStatus.lastSuccessAt = new Date().toISOString();
+      if (transportStatus.state !== 'CLOSED') {
+        _setTransportState('CLOSED');
+        // Deliver whatever was stored while the circuit was open
+        _replayIfEnabled();
+      }
+      return;
+    }
+
+    transportStatus.consecutiveFailures++;
+    transportStatus.lastError = errorText || 'Unknown error';
+    transportStatus.lastFailureAt = new Date().toISOString();
+
+    // A failed probe reopens the circuit and restarts the cooldown
+    if (transportStatus.state === 'HALF_OPEN' || transportStatus.consecutiveFailures >= threshold) {
+      _setTransportState('OPEN');
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Send one batch to the APEX process (a single attempt)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} batch - Log entries to send
+   * @param {Function} onSuccess - Called when the process accepted the batch
+   * @param {Function} onError - Called with an error text when the request failed
+   */
+  var _apexRequest = function (batch, onSuccess, onError) {
+    apex.server.process(config.serverProcessName || 'JS_LOGGER', _buildServerPayload(batch), {
+      success: function () {
+        onSuccess();
+      },
+      error: function (jqXHR, textStatus, errorThrown) {
+        onError(errorThrown || textStatus);
+      }
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Build the request headers for the rest transport, asking config.restTokenProvider for a token
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Promise} - Resolves with the headers object
+   */
+  var _restHeaders = function () {
+    var token = typeof config.restTokenProvider === 'function' ? config.restTokenProvider() : null;
+
+    return Promise.resolve(token).then(function (value) {
+      var headers = Object.assign({ 'Content-Type': 'application/json' }, config.restHeaders);
+
+      restToken = value || null;
+      if (restToken) {
+        headers.Authorization = 'Bearer ' + restToken;
+      }
+      return headers;
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Request bodies for the rest transport - always the versioned JSON document (serverPayloadFormat
+   * only applies to the APEX process)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} batch - Log entries to send
+   *
+   * @returns {Array} - JSON strings, one per request (one per entry when config.restBatch is false)
+   */
+  var _restBodies = function (batch) {
+    return _restGroups(batch).map(function (group) {
+      return JSON.stringify(_buildPayloadDocument(group));
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Split a batch into the entry groups sent as one REST request each (config.restBatch)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} batch - Log entries
+   *
+   * @returns {Array} - Entry groups
+   */
+  var _restGroups = function (batch) {
+    return config.restBatch === false ? batch.map(function (entry) {
+      return [entry];
+    }) : [batch];
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * POST one JSON body with fetch, aborting it after config.restTimeout milliseconds
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} body - JSON request body
+   * @param {Object} headers - Request headers
+   *
+   * @returns {Promise} - Resolves on a 2xx response, rejects with an Error otherwise
+   */
+  var _restPost = function (body, headers) {
+    var timeout = config.restTimeout || 10000;
+    var controller = typeof AbortController === 'function' ? new AbortController() : null;
+    var timer = null;
+
+    var timedOut = new Promise(function (resolve, reject) {
+      timer = setTimeout(function () {
+        if (controller) controller.abort();
+        reject(new Error('Request timed out after ' + timeout + 'ms'));
+      }, timeout);
+    });
+
+    var request = fetch(config.restUrl, {
+      method: 'POST',
+      headers: headers,
+      body: body,
+      credentials: 'same-origin',
+      signal: controller ? controller.signal : undefined
+    }).then(function (response) {
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status + (response.statusText ? ' ' + response.statusText : ''));
+      }
+    });
+
+    return Promise.race([request, timedOut]).then(function () {
+      clearTimeout(timer);
+    }, function (e) {
+      clearTimeout(timer);
+      throw e;
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Send one batch to config.restUrl as JSON (a single attempt)
+   * With config.restBatch the batch is one JSON document, otherwise every entry is posted in its own document
+   * (a retry then re-posts the whole batch - use the entry id to skip duplicates)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} batch - Log entries to send
+   * @param {Function} onSuccess - Called when every request returned a 2xx status
+   * @param {Function} onError - Called with an error text when a request failed or timed out
+   */
+  var _restRequest = function (batch, onSuccess, onError) {
+    if (!config.restUrl || typeof fetch !== 'function') {
+      throw new Error(config.restUrl ? 'fetch is not available' : 'restUrl is not configured');
+    }
+
+    var bodies = _restBodies(batch);
+
+    _restHeaders().then(function (headers) {
+      return Promise.all(bodies.map(function (body) {
+        return _restPost(body, headers);
+      }));
+    }).then(function () {
+      onSuccess();
+    }, function (e) {
+      onError(e.message);
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Send one batch with the configured transport (config.serverTransport) and exponential backoff retry
+   * Requests are skipped while the circuit breaker is open; a half-open probe is sent without retries
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} batch - Log entries to send
+   *
+   * @returns {Promise} - Resolves with true when delivered, false when skipped or all retries failed
+   */
+  var _postBatch = function (batch) {
+    if (!_circuitAllowsSend()) {
+      return Promise.resolve(false);
+    }
+
+    var retryAttempts = config.retryAttemptInitial || 0;
+    var maxRetries = transportStatus.state === 'HALF_OPEN' ? 0 : _numberOption(config.retryCount, 1);
+    var retryDelayBase = _numberOption(config.retryDelayBase, 1000);
+    var sendRequest = config.serverTransport === 'rest' ? _restRequest : _apexRequest;
+
+    return new Promise(function (resolve) {
+      var attemptSend = function () {
+        try {
+          sendRequest(batch, function () {
+            _recordTransportResult(true);
+            resolve(true);
+          }, function (errorText) {
+            retryAttempts++;
+            if (retryAttempts <= maxRetries) {
+              // Exponential backoff retry
+              setTimeout(attemptSend, retryDelayBase * retryAttempts);
+            } else {
+              _recordTransportResult(false, errorText);
+              resolve(false);
+            }
+          });
+        } catch (e) {
+          // Transport not available (no APEX, no restUrl) or other critical error
+          console.error('Logger server error:', e.message);
+          _recordTransportResult(false, e.message);
+          resolve(false);
+        }
+      };
+
+      attemptSend();
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Handle a batch the server did not accept
+   * Entries are kept in the offline store for replay, or written to the console when storage is disabled
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} batch - Log entries that could not be delivered
+   */
+  var _handleUndelivered = function (batch) {
+    // While the circuit is open every flush ends up here - the state change was already reported once
+    var report = transportStatus.state === 'CLOSED';
+
+    if (config.enableOfflineStorage) {
+      if (report) {
+        console.warn('Logger server failed, ' + batch.length + ' entries stored for replay');
+      }
+      _updatePending(function (entries) {
+        return entries.concat(batch);
+      });
+      return;
+    }
+
+    // Switch to console-only mode
+    if (report) {
+      console.warn('Logger server failed, using console fallback');
+    }
+    batch.forEach(function (logEntry) {
+      console.log(_formatConsoleMessage(logEntry));
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Open the offline store for undelivered entries
+   * Uses IndexedDB, falls back to localStorage, and finally to memory (entries then only survive until reload)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Promise} - Resolves with a { read, write } store where both functions return Promises
+   */
+  var _openPendingStore = function () {
+    if (pendingStore) return pendingStore;
+
+    var storageKey = config.offlineStorageKey || 'JS_LOGGER_PENDING';
+
+    var localStore = function () {
+      try {
+        localStorage.setItem(storageKey + '_test', '1');
+        localStorage.removeItem(storageKey + '_test');
+      } catch (e) {
+        var memory = [];
+        return {
+          read: function () { return Promise.resolve(memory.slice()); },
+          write: function (entries) { memory = entries.slice(); return Promise.resolve(); }
+        };
+      }
+
+      return {
+        read: function () {
+          return Promise.resolve(JSON.parse(localStorage.getItem(storageKey) || '[]'));
+        },
+        write: function (entries) {
+          localStorage.setItem(storageKey, JSON.stringify(entries));
+          return Promise.resolve();
+        }
+      };
+    };
+
+    var indexedDbStore = function (db) {
+      var run = function (mode, work) {
+        return new Promise(function (resolve, reject) {
+          var tx = db.transaction('entries', mode);
+          var result = work(tx.objectStore('entries'));
+          tx.oncomplete = function () { resolve(result.result); };
+          tx.onerror = function () { reject(tx.error); };
+        });
+      };
+
+      return {
+        read: function () {
+          return run('readonly', function (store) {
+            return store.getAll();
+          });
+        },
+        write: function (entries) {
+          return run('readwrite', function (store) {
+            store.clear();
+            entries.forEach(function (logEntry) {
+              store.put(logEntry);
+            });
+            return {};
+          });
+        }
+      };
+    };
+
+    pendingStore = new Promise(function (resolve) {
+      if (typeof indexedDB === 'undefined') {
+        resolve(localStore());
+        return;
+      }
+
+      try {
+        var request = indexedDB.open(storageKey, 1);
+        request.onupgradeneeded = function () {
+          request.result.createObjectStore('entries', { keyPath: 'id' });
+        };
+        request.onsuccess = function () {
+          resolve(indexedDbStore(request.result));
+        };
+        request.onerror = function () {
+          resolve(localStore());
+        };
+      } catch (e) {
+        resolve(localStore());
+      }
+    });
+
+    return pendingStore;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Remove duplicate, expired and excess entries from the offline store contents
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} entries - Stored log entries
+   *
+   * @returns {Array} - Entries to keep, oldest first
+   */
+  var _evictPending = function (entries) {
+    var maxEntries = config.offlineMaxEntries || 500;
+    var maxAge = config.offlineMaxAge || 604800000;
+    var now = Date.now();
+    var byId = {};
+
+    entries.forEach(function (logEntry) {
+      byId[logEntry.id] = logEntry;
+    });
+
+    var kept = Object.keys(byId).map(function (id) {
+      return byId[id];
+    }).filter(function (logEntry) {
+      return now - Date.parse(logEntry.timestamp) <= maxAge;
+    }).sort(function (a, b) {
+      return Date.parse(a.timestamp) - Date.parse(b.timestamp);
+    });
+
+    return kept.slice(Math.max(kept.length - maxEntries, 0));
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Change the offline store contents
+   * Updates are chained so concurrent writes cannot overwrite each other
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Function} update - Receives the stored entries and returns the new list
+   *
+   * @returns {Promise} - Resolves with the entries kept after eviction
+   */
+  var _updatePending = function (update) {
+    pendingChain = pendingChain.then(function () {
+      return _openPendingStore().then(function (store) {
+        return store.read().then(function (entries) {
+          var kept = _evictPending(update(entries || []));
+          return store.write(kept).then(function () {
+            return kept;
+          });
+        });
+      });
+    }).catch(function (e) {
+      console.warn('Logger offline storage error:', e && e.message);
+      return [];
+    });
+
+    return pendingChain;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Send every queued entry to the server, one batch at a time
+   * Calls are chained so batches never overlap and keep their order
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Promise} - Resolves with { sent, failed } entry counts
+   */
+  var _flushQueue = function () {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    var result = { sent: 0, failed: 0 };
+
+    var drain = function () {
+      var batch = _nextBatch();
+      if (!batch.length) {
+        return result;
+      }
+
+      return _postBatch(batch).then(function (delivered) {
+        if (delivered) {
+          result.sent += batch.length;
+        } else {
+          result.failed += batch.length;
+          _handleUndelivered(batch);
+        }
+        return drain();
+      });
+    };
+
+    flushChain = flushChain.then(drain);
+    return flushChain;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Deliver one batch while the page is unloading
+   * apex.server.process calls are cancelled on unload, so the request is posted straight to the
+   * wwv_flow.ajax endpoint with navigator.sendBeacon (or fetch with keepalive). The rest transport uses
+   * fetch with keepalive, because sendBeacon cannot send headers
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} batch - Log entries to send
+   *
+   * @returns {boolean} - Whether the browser accepted the request
+   */
+  var _beaconBatch = function (batch) {
+    if (config.serverTransport === 'rest') {
+      return _beaconRestBatch(batch);
+    }
+
+    var processName = config.serverProcessName || 'JS_LOGGER';
+    var endpoint = config.unloadEndpoint || 'wwv_flow.ajax';
+    var env = (typeof apex !== 'undefined' && apex.env) || {};
+    var payload = _buildServerPayload(batch);
+    var body = new URLSearchParams();
+
+    body.append('p_flow_id', env.APP_ID || '');
+    body.append('p_flow_step_id', env.APP_PAGE_ID || 0);
+    body.append('p_instance', env.APP_SESSION || '');
+    body.append('p_request', 'APPLICATION_PROCESS=' + processName);
+
+    for (var key in payload) {
+      if (payload.hasOwnProperty(key)) {
+        body.append(key, payload[key]);
+      }
+    }
+
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) {
+        return true;
+      }
+
+      if (typeof fetch === 'function') {
+        return _keepaliveFetch(endpoint, { body: body }, batch);
+      }
+    } catch (e) {
+      console.error('Logger unload delivery error:', e.message);
+    }
+
+    return false;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Deliver one batch to config.restUrl while the page is unloading (fetch with keepalive)
+   * The token provider cannot be awaited during unload, so the last token it returned is used
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} batch - Log entries to send
+   *
+   * @returns {boolean} - Whether the batch was taken over (requests the browser refuses are stored with _handleUndelivered())
+   */
+  var _beaconRestBatch = function (batch) {
+    if (!config.restUrl || typeof fetch !== 'function') return false;
+
+    var headers = Object.assign({ 'Content-Type': 'application/json' }, config.restHeaders);
+
+    if (restToken) {
+      headers.Authorization = 'Bearer ' + restToken;
+    }
+
+    _restGroups(batch).forEach(function (group) {
+      var sent = false;
+      try {
+        sent = _keepaliveFetch(config.restUrl, { headers: headers, body: JSON.stringify(_buildPayloadDocument(group)) }, group);
+      } catch (e) {
+        console.error('Logger unload delivery error:', e.message);
+      }
+      if (!sent) {
+        _handleUndelivered(group);
+      }
+    });
+
+    return true;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * POST a body with fetch keepalive, so the request survives the page unloading
+   * Refused when it would take the bodies in flight past the browser's 64 KB keepalive quota; a request
+   * that fails later (network error or HTTP error status) hands its entries to _handleUndelivered()
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} url - Endpoint
+   * @param {Object} options - fetch options (body, headers)
+   * @param {Array} entries - Log entries in the body
+   *
+   * @returns {boolean} - Whether the request was sent
+   */
+  var _keepaliveFetch = function (url, options, entries) {
+    // UTF-8 length of the body
+    var size = encodeURIComponent(String(options.body)).replace(/%[0-9A-F]{2}/gi, '-').length;
+
+    if (keepaliveBytes + size > KEEPALIVE_LIMIT) return false;
+
+    keepaliveBytes += size;
+    fetch(url, Object.assign({ method: 'POST', keepalive: true, credentials: 'same-origin' }, options)).then(function (response) {
+      if (!response.ok) {
+        throw new Error('HTTP ' + response.status);
+      }
+    }).catch(function (e) {
+      console.error('Logger unload delivery error:', e.message);
+      _handleUndelivered(entries);
+    }).then(function () {
+      keepaliveBytes -= size;
+    });
+
+    return true;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Drain the server queue when the page is hidden or unloaded
+   * Registered on pagehide and visibilitychange, so callers of logServer() need nothing extra
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Event} event - The pagehide or visibilitychange event
+   */
+  var _onPageHide = function (event) {
+    // Periodic timing summaries would otherwise lose the measurements since the last one
+    if (timingFlushTimer && (event.type === 'pagehide' || document.visibilityState === 'hidden')) {
+      flushTimingStats();
+    }
+
+    if (!config.enableServer || !config.enableUnloadDelivery || !serverQueue.length) return;
+    if (event.type === 'visibilitychange' && document.visibilityState !== 'hidden') return;
+
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+
+    var batch = _nextBatch();
+    while (batch.length) {
+      // A beacon cannot report failures, so keep entries for replay while the circuit is open
+      if (transportStatus.state === 'OPEN' || !_beaconBatch(batch)) {
+        _handleUndelivered(batch);
+      }
+      batch = _nextBatch();
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Output log entry to console with colors and appropriate console method
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} logEntry - The log entry to output
+   * @param {string} formatted - Optional text from the console appender's format function (replaces the styled message)
+   */
+  var _outputToConsole = function (logEntry, formatted) {
+    var timestamp = new Date(logEntry.timestamp).toLocaleTimeString();
+    var level = logEntry.level.toUpperCase();
+    var module = logEntry.module ? `[${logEntry.module}]` : '';
+
+    // Get styles from config (single source of truth)
+    var consoleConfig = namespace.loggerConfig.getConsoleConfig();
+    var styles = consoleConfig.levelStyles;
+
+    // Prepare console arguments - log extra data as separate argument for better formatting
+    var message = `%c[${timestamp}] ${level}%c ${module} ${logEntry.text}`;
+    var consoleArgs = formatted === undefined ? [message, styles[level] || styles.INFORMATION, 'color: inherit'] : [formatted];
+
+    // Add extra data as separate argument so browser can format it nicely
+    if (logEntry.extra) {
+      consoleArgs.push(logEntry.extra);
+    }
+    if (logEntry.error) {
+      consoleArgs.push(logEntry.error);
+    }
+
+    // Use appropriate console method with styles from config
+    switch (level) {
+      case 'FATAL':
+      case 'ERROR':
+        console.error.apply(console, consoleArgs);
+        break;
+      case 'WARNING':
+        console.warn.apply(console, consoleArgs);
+        break;
+      case 'DEBUG':
+      case 'TRACE':
+        console.debug.apply(console, consoleArgs);
+        break;
+      case 'PERMANENT':
+      case 'TIMING':
+        console.log.apply(console, consoleArgs);
+        break;
+      case 'INFORMATION': // this is the default level logger.log
+      default:
+        console.log.apply(console, consoleArgs);
+        break;
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Format log entry for console output (fallback for server errors)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} logEntry - The log entry to format
+   *
+   * @returns {string} - Formatted log message
+   */
+  var _formatConsoleMessage = function (logEntry) {
+    var timestamp = new Date(logEntry.timestamp).toLocaleTimeString();
+    var level = logEntry.level.toUpperCase();
+    var module = logEntry.module ? `[${logEntry.module}]` : '';
+    var extra = logEntry.extra ? ` ${JSON.stringify(_safeSerialize(logEntry.extra))}` : '';
+    var stack = logEntry.error && logEntry.error.stack ? `\n${logEntry.error.stack}` : '';
+
+    return `[${timestamp}] ${level} ${module} ${logEntry.text}${extra}${stack}`;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Check whether a value is an Error (also DOMException and errors from other frames)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {*} value - The value to check
+   *
+   * @returns {boolean} - Whether the value is an Error
+   */
+  var _isError = function (value) {
+    if (!value || typeof value !== 'object') return false;
+
+    var tag = Object.prototype.toString.call(value);
+    return value instanceof Error || tag === '[object Error]' || tag === '[object DOMException]';
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Parse a stack trace into frames
+   * Understands the V8 format ("at fn (file:1:2)") and the Firefox/Safari format ("fn@file:1:2")
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} stack - The Error stack string
+   *
+   * @returns {Array} - Frames as { function, file, line, column }
+   */
+  var _parseStackFrames = function (stack) {
+    var maxFrames = _numberOption(config.maxStackFrames, 50);
+    var frames = [];
+
+    String(stack || '').split('\n').some(function (line) {
+      var match = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/.exec(line) ||
+                  /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/.exec(line);
+
+      if (match) {
+        frames.push({
+          function: match[1] || '(anonymous)',
+          file: match[2],
+          line: parseInt(match[3], 10),
+          column: parseInt(match[4], 10)
+        });
+      }
+
+      return frames.length >= maxFrames;
+    });
+
+    return frames;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Convert any value to plain JSON-safe data
+   * Cycles become "[Circular ~path]"; DOM nodes, jQuery sets, APEX regions/items and functions
+   * become short summaries; Map, Set, Date, BigInt, typed arrays and undefined are rendered the same way every time
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {*} value - The value to convert
+   *
+   * @returns {*} - Plain data that JSON.stringify can always handle
+   */
+  var _safeSerialize = function (value) {
+    var ancestors = [];   // Objects on the current branch, used to detect cycles
+    var paths = [];       // Path of each ancestor, reported in [Circular ~path]
+
+    var describeNode = function (node) {
+      if (node.nodeType === 9) return '[Document]';
+      if (node.nodeType === 3) return '[Text "' + String(node.nodeValue).substring(0, 30) + '"]';
+      if (node.nodeType !== 1) return '[Node ' + node.nodeName + ']';
+
+      var selector = node.nodeName.toLowerCase();
+      if (node.id) selector += '#' + node.id;
+      if (typeof node.className === 'string' && node.className.trim()) {
+        selector += '.' + node.className.trim().split(/\s+/).join('.');
+      }
+      return selector;
+    };
+
+    var walk = function (current, path, depth) {
+      if (current === undefined) return '[undefined]';
+      if (current === null || typeof current === 'boolean' || typeof current === 'string') return current;
+      if (typeof current === 'number') return isFinite(current) ? current : String(current);
+      if (typeof current === 'bigint') return current.toString() + 'n';
+      if (typeof current === 'symbol') return current.toString();
+      if (typeof current === 'function') return '[Function ' + (current.name || '(anonymous)') + ']';
+
+      // Browser objects
+      if (current.window === current) return '[Window]';
+      if (typeof current.nodeType === 'number' && typeof current.nodeName === 'string') {
+        return current.nodeType === 1 ? '[Element ' + describeNode(current) + ']' : describeNode(current);
+      }
+      if (typeof current.jquery === 'string') {
+        var selectors = Array.prototype.slice.call(current, 0, 5).map(describeNode);
+        return '[jQuery(' + current.length + ')' + (selectors.length ? ' ' + selectors.join(', ') : '') +
+          (current.length > 5 ? ', ...' : '') + ']';
+      }
+      if (current.element && typeof current.element.jquery === 'string' && current.type !== undefined) {
+        return '[apex.region ' + (current.element.attr('id') || '') + ' (' + current.type + ')]';
+      }
+      if (current.node && current.id && typeof current.getValue === 'function') {
+        return '[apex.item ' + current.id + ']';
+      }
+
+      // Built-in types - compared by tag so objects from other frames (APEX dialogs) match too
+      var tag = Object.prototype.toString.call(current).slice(8, -1);
+      if (tag === 'Date') {
+        return isNaN(current.getTime()) ? 'Invalid Date' : current.toISOString();
+      }
+      if (tag === 'RegExp') return current.toString();
+      if (tag === 'ArrayBuffer') return '[ArrayBuffer(' + current.byteLength + ')]';
+      if (/^(Big)?(Int|Uint|Float)(8|16|32|64)(Clamped)?Array$/.test(tag)) {
+        return {
+          _type: tag,
+          length: current.length,
+          values: Array.prototype.map.call(current, function (item) {
+            return typeof item === 'bigint' ? item.toString() + 'n' : item;
+          })
+        };
+      }
+
+      // Cycles - only objects on the current branch count, repeated references elsewhere are fine
+      var ancestorIndex = ancestors.indexOf(current);
+      if (ancestorIndex !== -1) {
+        return '[Circular ~' + paths[ancestorIndex] + ']';
+      }
+      if (depth >= 100) return '[Max depth]';
+
+      ancestors.push(current);
+      paths.push(path);
+
+      var result;
+      var child = function (item, key) {
+        return walk(item, path + '.' + key, depth + 1);
+      };
+
+      if (tag === 'Map') {
+        var entries = [];
+        current.forEach(function (item, key) {
+          entries.push([child(key, entries.length + '.key'), child(item, entries.length)]);
+        });
+        result = { _type: 'Map', size: current.size, entries: entries };
+      } else if (tag === 'Set') {
+        var values = [];
+        current.forEach(function (item) {
+          values.push(child(item, values.length));
+        });
+        result = { _type: 'Set', size: current.size, values: values };
+      } else if (_isError(current)) {
+        // message and stack are not enumerable, so they are copied explicitly
+        result = {
+          name: current.name || 'Error',
+          message: _maskText(String(current.message)),
+          stack: _maskText(current.stack ? String(current.stack) : '')
+        };
+        if (current.cause !== undefined) {
+          result.cause = child(current.cause, 'cause');
+        }
+        if (Array.isArray(current.errors)) {
+          // AggregateError children
+          result.errors = current.errors.map(function (item, index) {
+            return child(item, 'errors.' + index);
+          });
+        }
+        for (var errorKey in current) {
+          if (Object.prototype.hasOwnProperty.call(current, errorKey) && !result.hasOwnProperty(errorKey)) {
+            result[errorKey] = child(current[errorKey], errorKey);
+          }
+        }
+      } else if (Array.isArray(current)) {
+        result = current.map(child);
+      } else if (typeof current.toJSON === 'function') {
+        result = walk(current.toJSON(), path, depth + 1);
+      } else {
+        result = {};
+        for (var key in current) {
+          if (Object.prototype.hasOwnProperty.call(current, key)) {
+            result[key] = child(current[key], key);
+          }
+        }
+      }
+
+      ancestors.pop();
+      paths.pop();
+      return result;
+    };
+
+    return walk(value, '', 0);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Sanitize data in an ordered pipeline: safe serialization, masking, then structural truncation
+   * Masking runs before truncation so oversized payloads can never ship unmasked values
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {*} data - The data to sanitize
+   *
+   * @returns {*} - Sanitized data
+   */
+  var _sanitizeData = function (data) {
+    if (!data) return data;
+
+    var plainData;
+
+    try {
+      // 1. Safe serialization - plain JSON data only (cycles, DOM nodes, Maps, ... handled)
+      plainData = _safeSerialize(data);
+    } catch (e) {
+      // Throwing getter or other unexpected error
+      var maxErrorLength = _numberOption(config.maxErrorStringLength, 100);
+      return {
+        _error: 'Could not serialize data',
+        _type: typeof data,
+        _string: String(data).substring(0, maxErrorLength)
+      };
+    }
+
+    // 2. Mask sensitive fields
+    var maskedData = _maskSensitiveFields(plainData);
+
+    // 3. Truncate structurally when over the size limit
+    var originalSize = JSON.stringify(maskedData).length;
+    if (originalSize > config.maxDataSize) {
+      return _truncateData(maskedData, originalSize);
+    }
+
+    return maskedData;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Serialize and mask an Error for entry.error within its own size budget (config.maxErrorSize)
+   * Unlike _sanitizeData the result is never wrapped, so name, message and stack keep their paths; over
+   * the budget, stack and message are trimmed as strings and the cause chain is shortened
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Error} err - The error to serialize
+   *
+   * @returns {Object} - { name, message, stack, cause, errors, ... } plus _truncated when trimmed
+   */
+  var _sanitizeError = function (err) {
+    var maxErrorSize = config.maxErrorSize || 10000;
+    var serialized;
+
+    try {
+      serialized = _maskSensitiveFields(_safeSerialize(err));
+    } catch (e) {
+      serialized = { name: String(err.name || 'Error'), message: _maskText(String(err.message)), stack: '' };
+    }
+    if (JSON.stringify(serialized).length <= maxErrorSize) return serialized;
+
+    var limits = { stringLength: Math.floor(maxErrorSize / 2), depth: 5 };
+    var trimString = function (value) {
+      if (typeof value !== 'string' || value.length <= limits.stringLength) return value;
+      return value.substring(0, limits.stringLength) + '...[' + (value.length - limits.stringLength) + ' more chars]';
+    };
+    var trim = function (node, depth) {
+      if (!node || typeof node !== 'object' || Array.isArray(node)) return node;
+
+      var result = Object.assign({}, node, { message: trimString(node.message), stack: trimString(node.stack) });
+      if (result.cause !== undefined) {
+        result.cause = depth < limits.depth ? trim(node.cause, depth + 1) : '[Cause chain truncated]';
+      }
+      if (Array.isArray(result.errors)) {
+        result.errors = depth < limits.depth ? node.errors.map(function (item) {
+          return trim(item, depth + 1);
+        }) : '[Array(' + node.errors.length + ')]';
+      }
+      return result;
+    };
+
+    var trimmed;
+    do {
+      trimmed = trim(serialized, 0);
+      if (JSON.stringify(trimmed).length <= maxErrorSize) break;
+
+      limits.stringLength = Math.floor(limits.stringLength / 2);
+      limits.depth = Math.max(limits.depth - 1, 0);
+    } while (limits.stringLength > 50);
+
+    // Still too large (custom properties) - keep only what the documented paths promise
+    if (JSON.stringify(trimmed).length > maxErrorSize) {
+      trimmed = { name: serialized.name, message: trimString(serialized.message), stack: trimString(serialized.stack) };
+    }
+
+    trimmed._truncated = true;
+    return trimmed;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Shrink data until it fits config.maxDataSize while keeping it valid JSON
+   * Long strings are trimmed, arrays capped and deep branches collapsed; the limits are halved on
+   * each pass until the result fits
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {*} data - Masked plain data
+   * @param {number} originalSize - Serialized size before truncation
+   *
+   * @returns {Object} - { _truncated, _originalSize, _truncatedFields, data }
+   */
+  var _truncateData = function (data, originalSize) {
+    var maxDataSize = config.maxDataSize;
+    var limits = {
+      stringLength: config.maxStringLength || 1000,
+      arrayLength: config.maxArrayLength || 50,
+      depth: config.maxDepth || 6
+    };
+    var truncatedFields;
+
+    var shrink = function (value, path, depth) {
+      if (typeof value === 'string') {
+        if (value.length <= limits.stringLength) return value;
+        truncatedFields[path || '(root)'] = true;
+        return value.substring(0, limits.stringLength) + '...[' + (value.length - limits.stringLength) + ' more chars]';
+      }
+
+      if (!value || typeof value !== 'object') {
+        return value;
+      }
+
+      var isArray = Array.isArray(value);
+      if (depth >= limits.depth) {
+        truncatedFields[path || '(root)'] = true;
+        return isArray ? '[Array(' + value.length + ')]' : '[Object]';
+      }
+
+      if (isArray) {
+        var items = value.slice(0, limits.arrayLength).map(function (item, index) {
+          return shrink(item, path + '[' + index + ']', depth + 1);
+        });
+        if (value.length > limits.arrayLength) {
+          truncatedFields[path || '(root)'] = true;
+          items.push('[... ' + (value.length - limits.arrayLength) + ' more items]');
+        }
+        return items;
+      }
+
+      var result = {};
+      for (var key in value) {
+        if (value.hasOwnProperty(key)) {
+          result[key] = shrink(value[key], path ? path + '.' + key : key, depth + 1);
+        }
+      }
+      return result;
+    };
+
+    var truncated;
+    do {
+      truncatedFields = {};
+      truncated = shrink(data, '', 0);
+
+      if (JSON.stringify(truncated).length <= maxDataSize) break;
+
+      limits.stringLength = Math.floor(limits.stringLength / 2);
+      limits.arrayLength = Math.floor(limits.arrayLength / 2);
+      limits.depth = limits.depth - 1;
+    } while (limits.depth > 0);
+
+    if (JSON.stringify(truncated).length > maxDataSize) {
+      truncated = '[Too large]';
+      truncatedFields = { '(root)': true };
+    }
+
+    return {
+      _truncated: true,
+      _originalSize: originalSize,
+      _truncatedFields: Object.keys(truncatedFields),
+      data: truncated
+    };
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Mask a single sensitive value using config.maskStrategy
+   * 'partial' only reveals the suffix of card numbers and IBANs; anything else (passwords, tokens, keys
+   * matched by sensitiveFields, ...) is fully masked
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {*} value - The value to mask
+   * @param {string} detector - Name of the value detector that found it (none for key-matched fields)
+   *
+   * @returns {string} - Masked value
+   */
+  var _maskValue = function (value, detector) {
+    var text = typeof value === 'string' ? value : JSON.stringify(value);
+
+    switch (config.maskStrategy) {
+      case 'partial':
+        // Keep the last 4 characters (e.g. card number suffix) when the value is long enough to hide the rest
+        if ((detector !== 'creditCard' && detector !== 'iban') || text.length <= 8) {
+          return '***MASKED***';
+        }
+        return text.slice(0, -4).replace(/[^\s-]/g, '*') + text.slice(-4);
+      case 'hash':
+        return '***HASH:' + _hashValue(text) + '***';
+      case 'full':
+      default:
+        return '***MASKED***';
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Hash a value so masked entries can still be correlated (FNV-1a, 32 bit - not a cryptographic hash)
+   * A correlation aid, not masking: without config.maskHashSalt short values (PINs, SSNs, card suffixes)
+   * can be recovered by hashing every candidate, and unrelated values can collide
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} text - The value to hash
+   *
+   * @returns {string} - 8 character hex hash
+   */
+  var _hashValue = function (text) {
+    var hash = 0x811c9dc5;
+
+    text = (config.maskHashSalt || '') + text;
+
+    for (var i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return ('0000000' + (hash >>> 0).toString(16)).slice(-8);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Mask sensitive values found inside free text (card numbers, emails, JWTs, IBANs)
+   * Detectors are enabled by name in config.maskValuePatterns
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} text - The text to scan
+   *
+   * @returns {string} - Text with detected values masked
+   */
+  var _maskText = function (text) {
+    if (!config.enableDataMasking || typeof text !== 'string') {
+      return text;
+    }
+
+    var patterns = config.maskValuePatterns || [];
+
+    patterns.forEach(function (name) {
+      var detector = VALUE_DETECTORS[name];
+      if (!detector) return;
+
+      text = text.replace(detector.pattern, function (match) {
+        return !detector.validate || detector.validate(match) ? _maskValue(match, name) : match;
+      });
+    });
+
+    return text;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Check whether a key is sensitive according to config.sensitiveFields
+   * Strings match any key containing them, RegExps are tested against the key,
+   * and dotted strings (payment.card.number) match the full path from the root of extra
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} key - The property name
+   * @param {string} path - Dotted path of the property (array indexes are skipped)
+   *
+   * @returns {boolean} - Whether the value must be masked
+   */
+  var _isSensitiveKey = function (key, path) {
+    var sensitiveFields = config.sensitiveFields || ['password', 'token', 'ssn'];
+    var lowerKey = key.toLowerCase();
+    var lowerPath = path.toLowerCase();
+
+    return sensitiveFields.some(function (field) {
+      if (Object.prototype.toString.call(field) === '[object RegExp]') {
+        // A /g or /y pattern continues from lastIndex, so the same key would alternate between matches
+        field.lastIndex = 0;
+        return field.test(key);
+      }
+
+      var lowerField = String(field).toLowerCase();
+      if (lowerField.indexOf('.') !== -1) {
+        return lowerPath === lowerField;
+      }
+
+      return lowerKey.includes(lowerField);
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Mask sensitive fields in data
+   * Walks nested objects and arrays; string values are also scanned by _maskText
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {*} data - The data to mask
+   * @param {string} path - Dotted path of data (used internally while recursing)
+   *
+   * @returns {*} - Data with sensitive fields masked
+   */
+  var _maskSensitiveFields = function (data, path) {
+    if (!config.enableDataMasking || !data) {
+      return data;
+    }
+
+    if (typeof data === 'string') {
+      return _maskText(data);
+    }
+
+    if (Array.isArray(data)) {
+      return data.map(function (item) {
+        return _maskSensitiveFields(item, path);
+      });
+    }
+
+    // Only plain objects are walked - Dates and other objects are kept as they are
+    if (Object.prototype.toString.call(data) !== '[object Object]') {
+      return data;
+    }
+
+    var masked = {};
+
+    for (var key in data) {
+      if (data.hasOwnProperty(key)) {
+        var keyPath = path ? path + '.' + key : key;
+
+        if (_isSensitiveKey(key, keyPath)) {
+          masked[key] = _maskValue(data[key]);
+        } else {
+          masked[key] = _maskSensitiveFields(data[key], keyPath);
+        }
+      }
+    }
+
+    return masked;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Generate a random lowercase hex id (crypto.getRandomValues when available)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {number} bytes - Number of random bytes (16 for a trace id, 8 for a span id)
+   *
+   * @returns {string} - Hex id, never all zeros (invalid in W3C trace context)
+   */
+  var _randomHex = function (bytes) {
+    var values = new Uint8Array(bytes);
+
+    if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+      crypto.getRandomValues(values);
+    } else {
+      for (var i = 0; i < bytes; i++) {
+        values[i] = Math.floor(Math.random() * 256);
+      }
+    }
+
+    var hex = Array.prototype.map.call(values, function (value) {
+      return ('0' + value.toString(16)).slice(-2);
+    }).join('');
+
+    return /^0+$/.test(hex) ? _randomHex(bytes) : hex;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Create a trace with new W3C trace and span ids
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} name - Trace name (the user action, e.g. 'save-order')
+   *
+   * @returns {Object} - { traceId, spanId, name, startedAt, traceparent, ended, end }
+   */
+  var _newTrace = function (name) {
+    var traceId = _randomHex(16);
+    var spanId = _randomHex(8);
+
+    var trace = {
+      traceId: traceId,
+      spanId: spanId,
+      name: name,
+      startedAt: new Date().toISOString(),
+      traceparent: '00-' + traceId + '-' + spanId + '-01',
+      ended: false
+    };
+
+    // Ended everywhere - also in stacks saved by withContext() / bind() scopes and restored later
+    trace.end = function () {
+      trace.ended = true;
+      traceStack = traceStack.filter(function (active) {
+        return active !== trace;
+      });
+    };
+
+    return trace;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the innermost active trace, or the page trace when no trace was started
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Object} - The current trace
+   */
+  var _currentTrace = function () {
+    // Bound callbacks may still hold a stack with traces ended since
+    for (var i = traceStack.length - 1; i >= 0; i--) {
+      if (!traceStack[i].ended) return traceStack[i];
+    }
+
+    pageTrace = pageTrace || _newTrace('page');
+    return pageTrace;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Merge the global context and the active context layers (innermost wins)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Object} - New object with every active context field
+   */
+  var _activeContext = function () {
+    return contextLayers.reduce(function (merged, layer) {
+      return Object.assign(merged, layer);
+    }, Object.assign({}, globalContext));
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Bind a callback to the context layers and traces active when it was scheduled
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {*} callback - The callback (anything that is not a function is returned unchanged)
+   *
+   * @returns {*} - Function that runs the callback inside those layers
+   */
+  var _bindContext = function (callback) {
+    if (typeof callback !== 'function') return callback;
+
+    var layers = contextLayers;
+    var traces = traceStack;
+    return function () {
+      return _runInContext(layers, callback, this, arguments, traces);
+    };
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Run a function with the given context layers (and traces) active
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} layers - Context layers
+   * @param {Function} fn - Function to run
+   * @param {*} thisArg - this for the function
+   * @param {Array|Arguments} args - Arguments for the function
+   * @param {Array} traces - Optional trace stack (default: the current one)
+   *
+   * @returns {*} - The function's return value
+   */
+  var _runInContext = function (layers, fn, thisArg, args, traces) {
+    var previousLayers = contextLayers;
+    var previousTraces = traceStack;
+
+    var scopeTraces = traces || traceStack;
+
+    contextLayers = layers;
+    traceStack = scopeTraces;
+
+    try {
+      return fn.apply(thisArg, args || []);
+    } finally {
+      // Traces started inside stay active until ended, traces ended inside stay ended
+      var started = traceStack.filter(function (trace) {
+        return scopeTraces.indexOf(trace) === -1;
+      });
+
+      contextLayers = previousLayers;
+      traceStack = previousTraces.concat(started).filter(function (trace) {
+        return !trace.ended;
+      });
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Remove sensitive query parameters from a URL (config.metadataStripParams and config.sensitiveFields)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} url - The URL
+   *
+   * @returns {string} - The URL without those parameters
+   */
+  var _stripUrl = function (url) {
+    if (!url || typeof URL === 'undefined') return url;
+
+    try {
+      var parsed = new URL(url);
+      var stripParams = (config.metadataStripParams || []).map(function (name) {
+        return String(name).toLowerCase();
+      });
+
+      Array.from(parsed.searchParams.keys()).forEach(function (name) {
+        if (stripParams.indexOf(name.toLowerCase()) !== -1 || _isSensitiveKey(name, name)) {
+          parsed.searchParams.delete(name);
+        }
+      });
+
+      return parsed.toString();
+    } catch (e) {
+      return url;
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Read the application and page alias from the current URL
+   * Friendly URLs: /ords/r/<path prefix>/<app alias>/<page alias>, classic URLs: f?p=<app>:<page>:...
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Object} - { appAlias, pageAlias } (null when not found)
+   */
+  var _readAliases = function () {
+    var location = typeof window !== 'undefined' && window.location;
+    if (!location) return { appAlias: null, pageAlias: null };
+
+    var friendly = /\/r\/[^/]+\/([^/?#]+)\/([^/?#]+)/.exec(location.pathname || '');
+    if (friendly) {
+      return { appAlias: decodeURIComponent(friendly[1]), pageAlias: decodeURIComponent(friendly[2]) };
+    }
+
+    var classic = /[?&]p=([^:&]*):([^:&]*)/.exec(location.search || '');
+    return {
+      appAlias: classic ? decodeURIComponent(classic[1]) || null : null,
+      pageAlias: classic ? decodeURIComponent(classic[2]) || null : null
+    };
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Collect the APEX and browser metadata for the enabled groups (config.metadataGroups)
+   * app: appId, appAlias, pageAlias, debugLevel, apexVersion
+   * url: url and referrer, without sensitive query parameters
+   * browser: userAgent, viewport, language
+   * trigger: element that received the last user event (the triggering element of the running dynamic action)
+   * items: values of the page items listed in config.metadataItems
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} groups - Enabled group names
+   *
+   * @returns {Object} - Metadata, one property per enabled group
+   */
+  var _collectMetadata = function (groups) {
+    var env = (typeof apex !== 'undefined' && apex.env) || {};
+    var hasWindow = typeof window !== 'undefined';
+    var metadata = {};
+
+    if (groups.indexOf('app') !== -1) {
+      var aliases = _readAliases();
+      var debugInput = typeof document !== 'undefined' && document.getElementById && document.getElementById('pdebug');
+
+      metadata.app = {
+        appId: env.APP_ID || null,
+        appAlias: aliases.appAlias,
+        pageAlias: aliases.pageAlias,
+        debugLevel: (debugInput && debugInput.value) || null,
+        apexVersion: env.APEX_VERSION || null
+      };
+    }
+
+    if (groups.indexOf('url') !== -1) {
+      metadata.url = {
+        url: hasWindow && window.location ? _stripUrl(window.location.href) : null,
+        referrer: typeof document !== 'undefined' && document.referrer ? _stripUrl(document.referrer) : null
+      };
+    }
+
+    if (groups.indexOf('browser') !== -1) {
+      metadata.browser = {
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
+        viewport: hasWindow && window.innerWidth ? window.innerWidth + 'x' + window.innerHeight : null,
+        language: typeof navigator !== 'undefined' ? navigator.language || null : null
+      };
+    }
+
+    if (groups.indexOf('trigger') !== -1 && lastUserEvent && Date.now() - lastUserEvent.at <= TRIGGER_MAX_AGE) {
+      metadata.trigger = {
+        element: lastUserEvent.target,
+        event: lastUserEvent.type,
+        age: Date.now() - lastUserEvent.at
+      };
+    }
+
+    if (groups.indexOf('items') !== -1 && typeof apex !== 'undefined' && apex.item) {
+      metadata.items = {};
+      (config.metadataItems || []).forEach(function (name) {
+        try {
+          metadata.items[name] = apex.item(name).getValue();
+        } catch (e) {
+          metadata.items[name] = null;
+        }
+      });
+    }
+
+    return metadata;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Create log entry object with enhanced features
+   * An Error passed as text, as extra or as extra.error is captured in the error and stackFrames fields
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string|Error} text - The log message
+   * @param {string} module - The module name
+   * @param {Object|Error} extra - Extra data
+   * @param {string} level - The log level
+   *
+   * @returns {Object} - Formatted log entry
+   */
+  var _createLogEntry = function (text, module, extra, level) {
+    var defaultUser = config.defaultUserName || 'UNKNOWN';
+    var err = null;
+
+    if (_isError(text)) {
+      err = text;
+      text = (text.name || 'Error') + ': ' + text.message;
+    } else if (_isError(extra)) {
+      err = extra;
+      extra = undefined;
+    } else if (extra && _isError(extra.error)) {
+      err = extra.error;
+      extra = Object.assign({}, extra);
+      delete extra.error;
+      if (!Object.keys(extra).length) extra = undefined;
+    }
+
+    // Global context first, so module extra (setExtra) and the call's extra win
+    var context = _activeContext();
+    if (Object.keys(context).length) {
+      extra = extra === undefined || Object.prototype.toString.call(extra) === '[object Object]' ?
+        Object.assign(context, extra) :
+        Object.assign(context, { data: extra });
+    }
+
+    var trace = _currentTrace();
+
+    var logEntry = {
+      id: Date.now().toString(36) + '-' + Math.random().toString(36).substring(2, 10),
+      traceId: trace.traceId,
+      spanId: trace.spanId,
+      timestamp: new Date().toISOString(),
+      level: level || 'INFORMATION',
+      text: _maskText(text),
+      module: module,
+      extra: _sanitizeData(extra),
+      user: (typeof apex !== 'undefined' && apex.env && apex.env.APP_USER) || defaultUser,
+      page: (typeof apex !== 'undefined' && apex.env && apex.env.APP_PAGE_ID) || 0,
+      session: (typeof apex !== 'undefined' && apex.env && apex.env.APP_SESSION) || 0
+    };
+
+    if (err) {
+      logEntry.error = _sanitizeError(err);
+      logEntry.stackFrames = _parseStackFrames(err.stack);
+    }
+
+    if (config.metadataGroups && config.metadataGroups.length) {
+      logEntry.metadata = _sanitizeData(_collectMetadata(config.metadataGroups));
+    }
+
+    return logEntry;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Check whether an appender takes entries of a level on a route (its filter is not consulted)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} appender - The appender
+   * @param {string} level - The entry level
+   * @param {Object} route - { console, server } routing decided by the caller
+   *
+   * @returns {boolean} - True when the appender would receive the entry
+   */
+  var _appenderAccepts = function (appender, level, route) {
+    if (!appender.enabled) return false;
+    if (appender.server ? !route.server : !appender.level && !route.console) return false;
+    return !appender.level || _meetsThreshold(level, appender.level);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Pass a log entry to every appender that accepts it
+   * Appenders without a level follow the routing: console appenders get entries that pass the console
+   * level, server appenders (server: true) get entries routed to the server. An appender with its own
+   * level uses that level instead of the console level (server appenders need both)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} logEntry - The log entry
+   * @param {Object} route - { console, server } routing decided by the caller
+   */
+  var _dispatch = function (logEntry, route) {
+    appenders.slice().forEach(function (appender) {
+      if (!_appenderAccepts(appender, logEntry.level, route)) return;
+
+      // One failing appender must not stop the others
+      try {
+        if (appender.filter && !appender.filter(logEntry)) return;
+
+        var formatted = appender.format ? appender.format(logEntry) : undefined;
+        appender.write(logEntry, formatted);
+      } catch (e) {
+        if (typeof console !== 'undefined') {
+          console.error('Logger appender "' + appender.name + '" failed:', e.message);
+        }
+      }
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Create a log entry, write it to the console and optionally send it to the server
+   * Shared by every level method except logServer
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} level - The log level
+   * @param {string|Error} text - The log message
+   * @param {string} module - The module name
+   * @param {Object} extra - Extra data
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.sendToServer - If true, also send to server (default: false)
+   */
+  var _logAtLevel = function (level, text, module, extra, options) {
+    try {
+      var opts = options || {};
+      // PERMANENT and FATAL entries always go to the server (like logger.log_permanent)
+      var sendToServer = opts.sendToServer === true || LOG_LEVELS[level] === LOG_LEVELS.PERMANENT ||
+        _shouldSendToServer(level, module);
+
+      // Console output respects level filtering; server sends happen when requested or at/above
+      // serverLevel (bypasses console level)
+      var route = {
+        console: _shouldLog(level, module),
+        server: sendToServer && config.enableServer
+      };
+
+      // Disabled debug()/trace() calls in hot paths skip serialization, masking and stack parsing
+      var accepted = appenders.some(function (appender) {
+        return _appenderAccepts(appender, level, route);
+      });
+      if (!accepted) return;
+
+      _dispatch(_createLogEntry(text, module, extra, level), route);
+    } catch (e) {
+      // Fallback logging if main logging fails
+      if (typeof console !== 'undefined') {
+        console.error('Logger error:', e.message);
+        console.log('Original message:', text);
+      }
+    }
+  };
+
+  /* ================================================================================================= */
+  /*                                            PUBLIC FUNCTIONS                                       */
+  /* ================================================================================================= */
+
+  /**
+   * Console logging function with optional server storage - Always INFORMATION level
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} text - The log message
+   * @param {string} module - The module name
+   * @param {Object} extra - Extra data
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.sendToServer - If true, also send to server (default: false)
+   */
+  var log = function (text, module, extra, options) {
+    _logAtLevel('INFORMATION', text, module, extra, options);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Server logging function (includes database storage) - Always INFORMATION level
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} text - The log message
+   * @param {string} module - The module name
+   * @param {Object} extra - Extra data
+   */
+  var logServer = function (text, module, extra) {
+    try {
+      var logEntry = _createLogEntry(text, module, extra, 'INFORMATION');
+
+      // Server logging bypasses level check - always send if enabled
+      // This allows server logging even when console is disabled; console output respects level filtering
+      _dispatch(logEntry, {
+        console: _shouldLog(logEntry.level, module),
+        server: config.enableServer
+      });
+    } catch (e) {
+      // Fallback logging if main logging fails
+      if (typeof console !== 'undefined') {
+        console.error('Logger server error:', e.message);
+        console.log('Original message:', text);
+      }
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Error logging with optional server storage - ERROR level
+   * An Error object can be passed as text or extra; its name, message, stack, cause chain and
+   * AggregateError children are captured in the entry's error field
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string|Error} text - The error message or Error object
+   * @param {string} module - The module name
+   * @param {Object|Error} extra - Extra data or Error object
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.sendToServer - If true, also send to server (default: false)
+   */
+  var error = function (text, module, extra, options) {
+    _logAtLevel('ERROR', text, module, extra, options);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Warning logging with optional server storage - WARNING level
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} text - The warning message
+   * @param {string} module - The module name
+   * @param {Object} extra - Extra data
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.sendToServer - If true, also send to server (default: false)
+   */
+  var warning = function (text, module, extra, options) {
+    _logAtLevel('WARNING', text, module, extra, options);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Debug logging with optional server storage - DEBUG level
+   * Hidden unless the level is DEBUG or TRACE
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} text - The debug message
+   * @param {string} module - The module name
+   * @param {Object} extra - Extra data
+   * @param {Object} options - Optional configuration
+   * @param {boolean} options.sendToServer - If true, also send to server (default: false)
+   */
+  var debug = function (text, module, extra, options) {
+    _logAtLevel('DEBUG', text, module, extra, options);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Trace logging with optional server storage - TRACE level (most verbose)
+   * Hidden unless the level is TRACE
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} text - The trace message
+   * @param {string} module - The module name
    * @param {Object} extra - Extra data
    * @param {Object} options - Optional configuration
    * @param {boolean} options.sendToServer - If true, also send to server (default: false)
    */
-  var warning = function (text, module, extra, options) {
-    try {
-      var opts = options || {};
-      var sendToServer = opts.sendToServer === true;
+  var trace = function (text, module, extra, options) {
+    _logAtLevel('TRACE', text, module, extra, options);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Fatal error logging - FATAL level, always sent to the server
+   * Accepts an Error object as text or extra, like error()
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string|Error} text - The error message or Error object
+   * @param {string} module - The module name
+   * @param {Object|Error} extra - Extra data or Error object
+   */
+  var fatal = function (text, module, extra) {
+    _logAtLevel('FATAL', text, module, extra);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Permanent logging - PERMANENT level, always sent to the server (like Oracle Logger's log_permanent)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} text - The log message
+   * @param {string} module - The module name
+   * @param {Object} extra - Extra data
+   */
+  var permanent = function (text, module, extra) {
+    _logAtLevel('PERMANENT', text, module, extra);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Start a timer in a timer namespace (the global one or a module logger's own)
+   * The namespace remembers the latest timer per unit for timeStop(unit); the returned handle stops its
+   * own run, so concurrent runs of the same unit do not clobber each other
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} timers - Timer namespace (unit to handle)
+   * @param {string} unit - The timing unit name
+   * @param {string} module - Module name for the timing entry
+   *
+   * @returns {Object} - Timer handle with stop(), fail(error), lap(label) and elapsed()
+   */
+  var _startTimer = function (timers, unit, module) {
+    var startedAt = performance.now();
+    var laps = [];
+    var stopped = false;
+
+    var finish = function (stopModule, failure, extra) {
+      if (stopped) {
+        console.warn(`Timing unit '${unit}' was already stopped`);
+        return 0;
+      }
+      stopped = true;
+      if (timers[unit] === handle) {
+        delete timers[unit];
+      }
+
+      return _logTiming(unit, stopModule || module, performance.now() - startedAt, laps, failure, extra);
+    };
+
+    var handle = {
+      unit: unit,
+      elapsed: function () {
+        return performance.now() - startedAt;
+      },
+      lap: function (label) {
+        var elapsed = performance.now() - startedAt;
+        var previous = laps.length ? laps[laps.length - 1].elapsed : 0;
+
+        laps.push({ label: label, elapsed: elapsed, split: elapsed - previous });
+        return elapsed - previous;
+      },
+      stop: function (stopModule, extra) {
+        return finish(stopModule, null, extra);
+      },
+      fail: function (failure, stopModule, extra) {
+        return finish(stopModule, failure || new Error(`${unit} failed`), extra);
+      }
+    };
+
+    timers[unit] = handle;
+    return handle;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Stop the latest timer of a unit in a timer namespace
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} timers - Timer namespace (unit to handle)
+   * @param {string} unit - The timing unit name
+   * @param {string} module - Module name for the timing entry
+   *
+   * @returns {number} - Time elapsed in milliseconds (0 when the unit was not started)
+   */
+  var _stopTimer = function (timers, unit, module) {
+    // hasOwnProperty, not truthiness - a timer can legitimately start at performance.now() === 0
+    if (!timers.hasOwnProperty(unit)) {
+      console.warn(`Timing unit '${unit}' was not started`);
+      return 0;
+    }
+
+    return timers[unit].stop(module);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Log the result of a stopped timer, with its laps as split times
+   * Failed operations are always logged at ERROR, also in aggregate timing mode
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} unit - The timing unit name
+   * @param {string} module - The module name
+   * @param {number} elapsed - Total milliseconds
+   * @param {Array} laps - { label, elapsed, split } checkpoints
+   * @param {*} failure - Optional error the timed operation failed with
+   * @param {Object} extra - Optional extra data for the entry
+   *
+   * @returns {number} - Time elapsed in milliseconds
+   */
+  var _logTiming = function (unit, module, elapsed, laps, failure, extra) {
+    var slow = _exceededThreshold(unit, module, elapsed);
+
+    _recordTiming(unit, module, elapsed);
+    if (!failure && !slow && (config.timingMode === 'aggregate' || config.timingMode === 'quiet')) return elapsed;
+
+    var decimalPlaces = _numberOption(config.timingDecimalPlaces, 2);
+    var message = failure ? `${unit} failed after ${elapsed.toFixed(decimalPlaces)}ms` :
+      `${unit} completed in ${elapsed.toFixed(decimalPlaces)}ms`;
+    var entryExtra = Object.assign({}, extra, { unit: unit, elapsed: elapsed });
+    var options = slow ? { sendToServer: true } : undefined;
+
+    if (slow) {
+      message += ` (over ${slow.threshold}ms budget)`;
+      entryExtra.threshold = slow.threshold;
+    }
+
+    if (laps.length) {
+      message += ' (' + laps.map(function (lap) {
+        return `${lap.label} +${lap.split.toFixed(decimalPlaces)}ms`;
+      }).join(', ') + ')';
+      entryExtra.laps = laps;
+    }
+
+    if (failure) {
+      entryExtra.error = failure;
+      error(message, module, entryExtra, options);
+    } else if (slow) {
+      (slow.level === 'ERROR' ? error : warning)(message, module, entryExtra, options);
+    } else {
+      log(message, module, entryExtra);
+    }
+    return elapsed;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Check a measurement against config.timingThresholds
+   * The unit's budget wins over the module's; a module without one uses its nearest dotted parent, then '*'.
+   * A number is a WARNING budget, { warning, error } sets either or both levels
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} unit - The timing unit name
+   * @param {string} module - The module name
+   * @param {number} elapsed - Milliseconds
+   *
+   * @returns {Object|null} - { level, threshold } of the highest exceeded budget, or null
+   */
+  var _exceededThreshold = function (unit, module, elapsed) {
+    var thresholds = config.timingThresholds || {};
+    var budget = thresholds.hasOwnProperty(unit) ? thresholds[unit] : undefined;
+    var name = module || '';
+
+    while (budget === undefined && name) {
+      budget = thresholds.hasOwnProperty(name) ? thresholds[name] : undefined;
+      name = name.indexOf('.') > -1 ? name.substring(0, name.lastIndexOf('.')) : '';
+    }
+    if (budget === undefined) {
+      budget = thresholds['*'];
+    }
+    if (budget === undefined || budget === null) return null;
+    if (typeof budget === 'number') {
+      budget = { warning: budget };
+    }
+
+    if (typeof budget.error === 'number' && elapsed > budget.error) {
+      return { level: 'ERROR', threshold: budget.error };
+    }
+    if (typeof budget.warning === 'number' && elapsed > budget.warning) {
+      return { level: 'WARNING', threshold: budget.warning };
+    }
+    return null;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Stop a timer when a function result settles - right away for plain values, on settlement for promises
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} timer - Timer handle from _startTimer
+   * @param {*} result - The function result or promise
+   * @param {Object} extra - Optional extra data for the entry
+   * @param {boolean} logResult - If true, the (resolved) value is added as extra.result
+   */
+  var _stopOnSettle = function (timer, result, extra, logResult) {
+    var succeed = function (value) {
+      timer.stop(null, logResult ? Object.assign({}, extra, { result: value }) : extra);
+    };
+
+    if (result && typeof result.then === 'function') {
+      result.then(succeed, function (reason) {
+        timer.fail(reason, null, extra);
+      });
+    } else {
+      succeed(result);
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Add a measurement to the timing statistics of its module and unit
+   * Only the last config.timingSampleSize measurements are kept for percentiles; count, min, max and
+   * mean cover every measurement since the last flush or reset
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} unit - The timing unit name
+   * @param {string} module - The module name
+   * @param {number} elapsed - Milliseconds
+   */
+  var _recordTiming = function (unit, module, elapsed) {
+    var key = (module || '') + '|' + unit;
+    var stats = timingStats[key];
+    var sampleSize = config.timingSampleSize || 1000;
+
+    if (!stats) {
+      stats = timingStats[key] = { unit: unit, module: module || null, count: 0, min: elapsed, max: elapsed, total: 0, samples: [] };
+    }
+
+    stats.samples[stats.count % sampleSize] = elapsed;
+    if (stats.samples.length > sampleSize) {
+      stats.samples.length = sampleSize;
+    }
+    stats.count++;
+    stats.total += elapsed;
+    stats.min = Math.min(stats.min, elapsed);
+    stats.max = Math.max(stats.max, elapsed);
+
+    if (config.timingFlushInterval > 0 && !timingFlushTimer) {
+      timingFlushTimer = setTimeout(function () {
+        timingFlushTimer = null;
+        flushTimingStats();
+      }, config.timingFlushInterval);
+    }
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Nearest-rank percentile of sorted samples
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Array} sorted - Samples in ascending order
+   * @param {number} percentile - 0 to 100
+   *
+   * @returns {number} - The sample at that rank
+   */
+  var _percentile = function (sorted, percentile) {
+    var rank = Math.ceil(percentile / 100 * sorted.length);
+    return sorted[Math.max(rank, 1) - 1];
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Start timing for a unit
+   * Module loggers have their own timers, so the same unit name never clashes across modules
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} unit - The timing unit name
+   *
+   * @returns {Object} - Timer handle: stop(module) logs and returns the elapsed time, lap(label) records a split
+   */
+  var timeStart = function (unit) {
+    return _startTimer(timingUnits, unit);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Stop timing for a unit and log the result (console-only)
+   * Stops the latest timeStart(unit); earlier concurrent runs are stopped with their handles
+   * @param {string} unit - The timing unit name
+   * @param {string} module - The module name
+   * @returns {number} - Time elapsed in milliseconds
+   */
+  var timeStop = function (unit, module) {
+    return _stopTimer(timingUnits, unit, module);
+  };
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Time a promise, or a function that returns a value or a promise, until it settles
+   * Success is logged like timeStop(), failure at ERROR with the error and elapsed time
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} unit - The timing unit name
+   * @param {Promise|Function} promiseOrFn - Promise to time, or function to call and time
+   * @param {string} module - The module name
+   *
+   * @returns {Promise} - The given promise, or one that settles like the function result
+   */
+  var timeAsync = function (unit, promiseOrFn, module) {
+    var timer = _startTimer({}, unit, module);
+    var result;
+
+    if (typeof promiseOrFn === 'function') {
+      try {
+        result = promiseOrFn();
+      } catch (e) {
+        timer.fail(e);
+        return Promise.reject(e);
+      }
+    } else {
+      result = promiseOrFn;
+    }
+
+    _stopOnSettle(timer, result);
+    return result && typeof result.then === 'function' ? result : Promise.resolve(result);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Wrap a function so every call is timed
+   * The wrapper returns exactly what the function returns (or throws); promises are timed until they settle
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Function} fn - The function to wrap
+   * @param {Object} options - Optional settings
+   * @param {string} options.unit - Timing unit name (default: the function name)
+   * @param {string} options.module - The module name
+   * @param {boolean} options.logArgs - If true, the call arguments are logged in extra.args
+   * @param {boolean} options.logResult - If true, the (resolved) result is logged in extra.result
+   *
+   * @returns {Function} - The timed function
+   */
+  var wrap = function (fn, options) {
+    var opts = options || {};
+    var unit = opts.unit || fn.name || 'anonymous';
+
+    return function () {
+      var args = Array.prototype.slice.call(arguments);
+      var extra = opts.logArgs ? { args: args } : null;
+      var timer = _startTimer({}, unit, opts.module);
+      var result;
+
+      try {
+        result = fn.apply(this, args);
+      } catch (e) {
+        timer.fail(e, null, extra);
+        throw e;
+      }
+
+      _stopOnSettle(timer, result, extra, opts.logResult);
+      return result;
+    };
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the aggregated timing statistics, optionally for one unit or module
+   * Every stopped timer is counted, in both timing modes
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} unit - Optional unit name filter
+   * @param {string} module - Optional module name filter
+   *
+   * @returns {Array} - { unit, module, count, min, max, mean, p50, p95, p99, total } per module and unit
+   */
+  var getTimingStats = function (unit, module) {
+    return Object.keys(timingStats).map(function (key) {
+      return timingStats[key];
+    }).filter(function (stats) {
+      return (!unit || stats.unit === unit) && (!module || stats.module === module);
+    }).map(function (stats) {
+      var sorted = stats.samples.slice().sort(function (a, b) {
+        return a - b;
+      });
+
+      return {
+        unit: stats.unit,
+        module: stats.module,
+        count: stats.count,
+        min: stats.min,
+        max: stats.max,
+        mean: stats.total / stats.count,
+        p50: _percentile(sorted, 50),
+        p95: _percentile(sorted, 95),
+        p99: _percentile(sorted, 99),
+        total: stats.total
+      };
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Print the timing statistics as a console table
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} unit - Optional unit name filter
+   * @param {string} module - Optional module name filter
+   *
+   * @returns {Array} - The printed statistics (see getTimingStats)
+   */
+  var printTimingStats = function (unit, module) {
+    var decimalPlaces = _numberOption(config.timingDecimalPlaces, 2);
+    var stats = getTimingStats(unit, module);
+    var rows = stats.map(function (row) {
+      var printed = { unit: row.unit, module: row.module, count: row.count };
+
+      ['min', 'max', 'mean', 'p50', 'p95', 'p99'].forEach(function (field) {
+        printed[field] = Number(row[field].toFixed(decimalPlaces));
+      });
+      return printed;
+    });
+
+    if (typeof console === 'undefined') return stats;
+    if (typeof console.table === 'function') {
+      console.table(rows);
+    } else {
+      console.log(rows);
+    }
+    return stats;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Send the timing statistics to the server as one summary entry and start counting again
+   * Called every config.timingFlushInterval milliseconds when set
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Array} - The statistics that were sent (empty when nothing was measured)
+   */
+  var flushTimingStats = function () {
+    var stats = getTimingStats();
+
+    if (timingFlushTimer) {
+      clearTimeout(timingFlushTimer);
+      timingFlushTimer = null;
+    }
+    if (!stats.length) return stats;
+
+    timingStats = {};
+    logServer(`Timing summary: ${stats.length} unit(s)`, 'Timing', { timings: stats });
+    return stats;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Discard the timing statistics without sending them
+   * @author Angel O. Flores Torres
+   * @created 2025
+   */
+  var resetTimingStats = function () {
+    timingStats = {};
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Send all queued server entries now instead of waiting for the batch size or interval
+   * Useful before a page submit or redirect
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Promise} - Resolves with { sent, failed } entry counts
+   */
+  var flush = function () {
+    return _flushQueue();
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the number of undelivered entries waiting in the offline store
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Promise} - Resolves with the pending entry count
+   */
+  var getPendingCount = function () {
+    return _updatePending(function (entries) {
+      return entries;
+    }).then(function (entries) {
+      return entries.length;
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Send the entries in the offline store to the server again
+   * Runs automatically on page load and when the browser comes back online
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Promise} - Resolves with { sent, failed } entry counts
+   */
+  var replayPending = function () {
+    if (replayInFlight) return replayInFlight;
+
+    var result = { sent: 0, failed: 0 };
+
+    var replay = function (entries) {
+      var batchSize = _batchSize();
+      var batch = entries.slice(0, batchSize);
+
+      if (!batch.length) {
+        return result;
+      }
+
+      return _postBatch(batch).then(function (delivered) {
+        if (!delivered) {
+          // Stop at the first failure - the rest stays stored for the next replay
+          result.failed += entries.length;
+          return result;
+        }
+
+        result.sent += batch.length;
+        var sentIds = batch.map(function (logEntry) {
+          return logEntry.id;
+        });
+        return _updatePending(function (stored) {
+          return stored.filter(function (logEntry) {
+            return sentIds.indexOf(logEntry.id) === -1;
+          });
+        }).then(function () {
+          return replay(entries.slice(batch.length));
+        });
+      });
+    };
+
+    replayInFlight = _updatePending(function (entries) {
+      return entries;
+    }).then(function (entries) {
+      if (!config.enableServer) {
+        result.failed = entries.length;
+        return result;
+      }
+      return replay(entries);
+    }).then(function (finalResult) {
+      replayInFlight = null;
+      return finalResult;
+    });
+
+    return replayInFlight;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the server transport status (circuit breaker state and queue size)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Object} - { state, consecutiveFailures, lastError, lastFailureAt, lastSuccessAt, openedAt, changedAt, nextProbeAt, queueLength, droppedEntries }
+   */
+  var getTransportStatus = function () {
+    var status = Object.assign({}, transportStatus);
+
+    status.nextProbeAt = status.state === 'OPEN' ?
+      new Date(status.openedAt + _numberOption(config.circuitBreakerCooldown, 30000)).toISOString() : null;
+    status.openedAt = status.openedAt ? new Date(status.openedAt).toISOString() : null;
+    status.queueLength = serverQueue.length;
+    status.droppedEntries = droppedEntries;
+
+    return status;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Register an appender - an output target that receives log entries (in-page panel, REST endpoint,
+   * test spy, ...). An appender with the same name is replaced
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} appender - Appender definition
+   * @param {string} appender.name - Unique name
+   * @param {Function} appender.write - Called with (logEntry, formatted) for every accepted entry
+   * @param {string} appender.level - Optional own level (default: follows the console level)
+   * @param {boolean} appender.server - If true, receives the entries routed to the server instead
+   * @param {Function} appender.filter - Optional predicate (logEntry) => boolean
+   * @param {Function} appender.format - Optional formatter (logEntry) => value passed to write as formatted
+   * @param {boolean} appender.enabled - Set false to register it disabled (default: true)
+   *
+   * @returns {string|null} - The appender name, or null when the definition is invalid
+   */
+  var addAppender = function (appender) {
+    if (!appender || typeof appender.name !== 'string' || typeof appender.write !== 'function') {
+      console.warn('Logger appender needs a name and a write function');
+      return null;
+    }
+    if (appender.level && LOG_LEVELS[String(appender.level).toUpperCase()] === undefined) {
+      console.warn('Invalid log level for appender "' + appender.name + '": ' + appender.level);
+      return null;
+    }
+
+    removeAppender(appender.name);
+    appenders.push({
+      name: appender.name,
+      level: appender.level ? String(appender.level).toUpperCase() : null,
+      server: appender.server === true,
+      filter: appender.filter || null,
+      format: appender.format || null,
+      write: appender.write,
+      enabled: appender.enabled !== false
+    });
+
+    return appender.name;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Remove an appender, including the built-in 'console' and 'apex' appenders
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} name - The appender name
+   *
+   * @returns {boolean} - Whether an appender was removed
+   */
+  var removeAppender = function (name) {
+    var count = appenders.length;
+    appenders = appenders.filter(function (appender) {
+      return appender.name !== name;
+    });
+
+    return appenders.length !== count;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Change the level, filter, format or enabled state of a registered appender
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} name - The appender name ('console', 'apex' or a custom one)
+   * @param {Object} options - Any of level (null to follow the routing again), filter, format, enabled
+   *
+   * @returns {boolean} - Whether the appender exists
+   */
+  var configureAppender = function (name, options) {
+    var appender = appenders.filter(function (candidate) {
+      return candidate.name === name;
+    })[0];
+    if (!appender) return false;
+
+    var changes = Object.assign({}, options);
+    if (changes.level) {
+      if (LOG_LEVELS[String(changes.level).toUpperCase()] === undefined) {
+        console.warn('Invalid log level for appender "' + name + '": ' + changes.level);
+        return true;
+      }
+      changes.level = String(changes.level).toUpperCase();
+    }
+
+    ['level', 'filter', 'format', 'enabled'].forEach(function (key) {
+      if (changes.hasOwnProperty(key)) {
+        appender[key] = key === 'enabled' ? changes[key] !== false : changes[key] || null;
+      }
+    });
+
+    return true;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Enable an appender
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} name - The appender name
+   *
+   * @returns {boolean} - Whether the appender exists
+   */
+  var enableAppender = function (name) {
+    return configureAppender(name, { enabled: true });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Disable an appender without removing it
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} name - The appender name
+   *
+   * @returns {boolean} - Whether the appender exists
+   */
+  var disableAppender = function (name) {
+    return configureAppender(name, { enabled: false });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * List the registered appenders
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Array} - { name, level, server, enabled } for each appender, in write order
+   */
+  var getAppenders = function () {
+    return appenders.map(function (appender) {
+      return { name: appender.name, level: appender.level, server: appender.server, enabled: appender.enabled };
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Add fields to the global context merged into the extra data of every entry
+   * Module extra (setExtra) and the extra passed to a call are layered on top
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} context - Fields to add (a null value removes that field)
+   */
+  var setContext = function (context) {
+    Object.keys(context || {}).forEach(function (key) {
+      if (context[key] === null) {
+        delete globalContext[key];
+      } else {
+        globalContext[key] = context[key];
+      }
+    });
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Remove every field set with setContext()
+   * @author Angel O. Flores Torres
+   * @created 2025
+   */
+  var clearContext = function () {
+    globalContext = {};
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the context merged into entries logged right now (global context plus active layers)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Object} - Context fields
+   */
+  var getContext = function () {
+    return _activeContext();
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Add a context layer on top of the global context until popContext() is called
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} context - Fields for the layer
+   *
+   * @returns {number} - Number of active layers
+   */
+  var pushContext = function (context) {
+    contextLayers = contextLayers.concat([Object.assign({}, context)]);
+    return contextLayers.length;
+  };
 
-      var logEntry = _createLogEntry(text, module, extra, 'WARNING');
 
-      // Console output respects level filtering
-      if (_shouldLog(logEntry.level)) {
-        _outputToConsole(logEntry);
-      }
 
-      // Optionally send to server (bypasses level check)
-      if (sendToServer && config.enableServer) {
-        _sendToServer(logEntry);
-      }
-    } catch (e) {
-      // Fallback logging if main logging fails
-      if (typeof console !== 'undefined') {
-        console.error('Logger error:', e.message);
-        console.log('Original message:', text);
-      }
-    }
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Remove the innermost context layer added with pushContext()
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Object|null} - The removed layer, or null when there was none
+   */
+  var popContext = function () {
+    if (!contextLayers.length) return null;
+
+    var layer = contextLayers[contextLayers.length - 1];
+    contextLayers = contextLayers.slice(0, -1);
+    return layer;
   };
 
 
@@ -510,14 +3767,19 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Start timing for a unit
+   * Run a function with an extra context layer
+   * The layer applies while the function runs; callbacks it schedules only keep it when wrapped
+   * with bind() (or scheduled through serverProcess()), so it never leaks into other code
    * @author Angel O. Flores Torres
    * @created 2025
    *
-   * @param {string} unit - The timing unit name
+   * @param {Object} context - Fields for the layer
+   * @param {Function} fn - Function to run
+   *
+   * @returns {*} - The function's return value
    */
-  var timeStart = function (unit) {
-    timingUnits[unit] = performance.now();
+  var withContext = function (context, fn) {
+    return _runInContext(contextLayers.concat([Object.assign({}, context)]), fn);
   };
 
 
@@ -530,25 +3792,192 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Stop timing for a unit and log the result (console-only)
-   * @param {string} unit - The timing unit name
-   * @param {string} module - The module name
-   * @returns {number} - Time elapsed in milliseconds
+   * Wrap a callback so it runs with the context layers and traces active right now
+   * Use it for callbacks a withContext() / withTrace() function hands to timers, Promises or event handlers
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Function} fn - The callback (anything that is not a function is returned unchanged)
+   *
+   * @returns {*} - Function that runs the callback inside the current context and trace
    */
-  var timeStop = function (unit, module) {
-    if (!timingUnits[unit]) {
-      console.warn(`Timing unit '${unit}' was not started`);
-      return 0;
+  var bind = function (fn) {
+    return _bindContext(fn);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Call apex.server.process with its success, error and complete callbacks bound to the current
+   * context layers and traces (see bind())
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} processName - Ajax process name
+   * @param {Object} data - Process data (x01-x20, pageItems...)
+   * @param {Object} options - apex.server.process options
+   *
+   * @returns {Promise} - apex.server.process's return value
+   */
+  var serverProcess = function (processName, data, options) {
+    var boundOptions = Object.assign({}, options);
+
+    ['success', 'error', 'complete'].forEach(function (name) {
+      boundOptions[name] = _bindContext(boundOptions[name]);
+    });
+
+    return apex.server.process(processName, data, boundOptions);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Start a trace that groups the entries of one user action under a new trace id
+   * Entries logged until end() is called carry its traceId and spanId. Traces can be nested;
+   * ending one returns to the trace that was active before. A trace started inside a withContext(),
+   * withTrace() or bind() scope outlives the scope, and end() called there ends it outside too
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} name - Trace name (default: 'trace')
+   *
+   * @returns {Object} - { traceId, spanId, name, startedAt, traceparent, end }
+   */
+  var startTrace = function (name) {
+    var trace = _newTrace(name || 'trace');
+
+    traceStack = traceStack.concat([trace]);
+
+    return trace;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Run a function inside a new trace
+   * Like withContext(), the trace applies while the function runs and to the callbacks it wraps with
+   * bind(), so overlapping async actions keep their own trace ids and other code never sees them
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Function} fn - Function to run, called with the trace
+   * @param {string} name - Trace name (default: 'trace')
+   *
+   * @returns {*} - The function's return value
+   */
+  var withTrace = function (fn, name) {
+    var trace = _newTrace(name || 'trace');
+
+    return _runInContext(contextLayers, fn, null, [trace], traceStack.concat([trace]));
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the trace that new entries are attached to
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @returns {Object} - { traceId, spanId, name, startedAt, traceparent } (the page trace when none was started)
+   */
+  var getTrace = function () {
+    var trace = _currentTrace();
+
+    return {
+      traceId: trace.traceId,
+      spanId: trace.spanId,
+      name: trace.name,
+      startedAt: trace.startedAt,
+      traceparent: trace.traceparent
+    };
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Add the current trace to every apex.server.process call made by the application, so the PL/SQL
+   * side can log the same trace id: as a traceparent request header and in an x parameter
+   * (config.traceParam, default x10). Values the caller already set are left alone
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} options - Optional configuration
+   * @param {string} options.param - Parameter that receives the traceparent (default: config.traceParam, null = header only)
+   *
+   * @returns {Function} - Uninstall function that restores apex.server.process
+   */
+  var installTraceInjection = function (options) {
+    if (uninstallTraceInjection) {
+      return uninstallTraceInjection;
+    }
+    if (typeof apex === 'undefined' || !apex.server || typeof apex.server.process !== 'function') {
+      console.warn('Logger trace injection needs apex.server.process');
+      return function () {};
     }
 
-    var elapsed = performance.now() - timingUnits[unit];
-    var decimalPlaces = config.timingDecimalPlaces || 2;
-    var message = `${unit} completed in ${elapsed.toFixed(decimalPlaces)}ms`;
+    var opts = options || {};
+    var param = opts.hasOwnProperty('param') ? opts.param : config.traceParam;
+    var originalProcess = apex.server.process;
 
-    log(message, module, { unit: unit, elapsed: elapsed });
+    var tracedProcess = function (processName, data, processOptions) {
+      var traceparent = _currentTrace().traceparent;
+      var tracedData = Object.assign({}, data);
+      var tracedOptions = Object.assign({}, processOptions);
 
-    delete timingUnits[unit];
-    return elapsed;
+      if (param && tracedData[param] === undefined) {
+        tracedData[param] = traceparent;
+      }
+      tracedOptions.headers = Object.assign({ traceparent: traceparent }, tracedOptions.headers);
+
+      return originalProcess.call(this, processName, tracedData, tracedOptions);
+    };
+
+    apex.server.process = tracedProcess;
+
+    uninstallTraceInjection = function () {
+      // Only restore if nobody replaced our wrapper in the meantime
+      if (apex.server.process === tracedProcess) {
+        apex.server.process = originalProcess;
+      }
+      uninstallTraceInjection = null;
+    };
+
+    return uninstallTraceInjection;
   };
 
 
@@ -559,16 +3988,120 @@ namespace.logger = (function (namespace) {
 
 
 
+  /* ================================================================================================= */
+  /**
+   * Log an error caught by the global handlers, skipping repeats of the same error
+   * An identical error (same type, message and location) is logged once per dedupe interval; the
+   * next entry after the interval reports how many repeats were skipped
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string|Error} text - The error message or Error object
+   * @param {string} module - The module name
+   * @param {Object} extra - Error details (type, source, line, column, ...)
+   * @param {number} dedupeInterval - Milliseconds during which identical errors are skipped
+   */
+  var _captureGlobalError = function (text, module, extra, dedupeInterval) {
+    var message = _isError(text) ? text.message : String(text);
+    var key = [extra.type, message, extra.source, extra.line, extra.column].join('|');
+    var now = Date.now();
+    var seen = globalErrorsSeen[key];
+
+    if (seen && now - seen.loggedAt < dedupeInterval) {
+      seen.skipped++;
+      return;
+    }
+
+    if (seen && seen.skipped) {
+      extra.repeated = seen.skipped;
+    }
+    globalErrorsSeen[key] = { loggedAt: now, skipped: 0 };
+
+    error(text, module, extra, { sendToServer: true });
+  };
+
+
+
+
+
 
 
 
 
+  /* ================================================================================================= */
+  /**
+   * Capture uncaught errors, resource load failures and unhandled promise rejections as ERROR entries
+   * sent to the server. Existing window.onerror handlers keep working (they are chained)
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {Object} options - Optional configuration
+   * @param {string} options.module - Module name for captured errors (default: config.globalErrorModuleName)
+   * @param {number} options.dedupeInterval - Milliseconds during which identical errors are skipped (default: config.globalErrorDedupeInterval)
+   *
+   * @returns {Function} - Uninstall function that removes the handlers again
+   */
+  var installGlobalHandlers = function (options) {
+    if (uninstallGlobalHandlers) {
+      return uninstallGlobalHandlers;
+    }
 
+    var opts = options || {};
+    var module = opts.module || config.globalErrorModuleName || 'GLOBAL_ERROR';
+    var dedupeInterval = opts.dedupeInterval !== undefined ? opts.dedupeInterval : _numberOption(config.globalErrorDedupeInterval, 10000);
+    var previousOnError = window.onerror;
+
+    var onError = function (message, source, line, column, err) {
+      _captureGlobalError(err || String(message), module, {
+        type: 'uncaught',
+        source: source,
+        line: line,
+        column: column
+      }, dedupeInterval);
+
+      if (typeof previousOnError === 'function') {
+        return previousOnError.apply(this, arguments);
+      }
+      return false;
+    };
 
+    // Resource errors (img, script, link) do not bubble and never reach window.onerror
+    var onResourceError = function (event) {
+      var target = event.target;
+      if (!target || target === window || !target.nodeName) return;
+
+      var url = target.src || target.href || '';
+      _captureGlobalError('Failed to load ' + target.nodeName.toLowerCase() + ' ' + url, module, {
+        type: 'resource',
+        source: url,
+        element: target
+      }, dedupeInterval);
+    };
 
+    var onRejection = function (event) {
+      var reason = event.reason;
+      _captureGlobalError(_isError(reason) ? reason : 'Unhandled promise rejection: ' + String(reason), module, {
+        type: 'unhandledrejection'
+      }, dedupeInterval);
+    };
 
+    window.onerror = onError;
+    window.addEventListener('error', onResourceError, true);
+    window.addEventListener('unhandledrejection', onRejection);
 
+    uninstallGlobalHandlers = function () {
+      // Only restore onerror if nobody replaced our handler in the meantime
+      if (window.onerror === onError) {
+        window.onerror = previousOnError;
+      }
+      window.removeEventListener('error', onResourceError, true);
+      window.removeEventListener('unhandledrejection', onRejection);
+      uninstallGlobalHandlers = null;
+      globalErrorsSeen = {};
+    };
 
+    return uninstallGlobalHandlers;
+  };
 
 
 
@@ -580,17 +4113,36 @@ namespace.logger = (function (namespace) {
 
   /* ================================================================================================= */
   /**
-   * Create a module logger with pre-configured scope and persistent extra data
+   * Build a named logger with persistent extra data
+   * A child logger inherits its parent's extra data (live, parent values first), its level through the
+   * dotted module name, and the appenders added to the parent
    * @author Angel O. Flores Torres
    * @created 2025
    *
    * @param {string} moduleName - The module name (becomes the scope)
+   * @param {Object} parent - Parent logger, or null
+   * @param {boolean} registered - Whether the logger lives in the getLogger() registry
+   *
    * @returns {Object} - Module logger with all logging methods
    */
-  var createModuleLogger = function (moduleName) {
+  var _createLogger = function (moduleName, parent, registered) {
     var moduleExtra = {};  // Persistent extra data for this module
+    var children = {};     // Child loggers of an unregistered logger, by child name
+    var timers = {};       // This logger's own timers, by unit
 
-    return {
+    // Parent extra first, so this logger's values win
+    var withExtra = function (extra) {
+      var inherited = Object.assign({}, parent ? parent.getExtra() : {}, moduleExtra);
+
+      // Keep an Error intact under extra.error - copying it would lose message and stack
+      return _isError(extra) ?
+        Object.assign(inherited, { error: extra }) :
+        Object.assign(inherited, extra || {});
+    };
+
+    var moduleLogger = {
+      name: moduleName,
+      parent: parent,
       setExtra: function (extraData) {
         moduleExtra = extraData || {};
       },
@@ -598,37 +4150,181 @@ namespace.logger = (function (namespace) {
         moduleExtra = {};
       },
       getExtra: function () {
-        return Object.assign({}, moduleExtra);
+        return withExtra();
       },
       log: function (text, extra, options) {
-        var combinedExtra = Object.assign({}, moduleExtra, extra || {});
-        log(text, moduleName, combinedExtra, options);
+        log(text, moduleName, withExtra(extra), options);
       },
       error: function (text, extra, options) {
-        var combinedExtra = Object.assign({}, moduleExtra, extra || {});
-        error(text, moduleName, combinedExtra, options);
+        error(text, moduleName, withExtra(extra), options);
       },
       warning: function (text, extra, options) {
-        var combinedExtra = Object.assign({}, moduleExtra, extra || {});
-        warning(text, moduleName, combinedExtra, options);
+        warning(text, moduleName, withExtra(extra), options);
+      },
+      debug: function (text, extra, options) {
+        debug(text, moduleName, withExtra(extra), options);
+      },
+      trace: function (text, extra, options) {
+        trace(text, moduleName, withExtra(extra), options);
+      },
+      fatal: function (text, extra) {
+        fatal(text, moduleName, withExtra(extra));
+      },
+      permanent: function (text, extra) {
+        permanent(text, moduleName, withExtra(extra));
       },
       logServer: function (text, extra) {
-        var combinedExtra = Object.assign({}, moduleExtra, extra || {});
-        logServer(text, moduleName, combinedExtra);
+        logServer(text, moduleName, withExtra(extra));
       },
       timeStart: function (unit) {
-        timeStart(unit);
+        return _startTimer(timers, unit, moduleName);
       },
       timeStop: function (unit) {
-        return timeStop(unit, moduleName);
+        return _stopTimer(timers, unit, moduleName);
+      },
+      timeAsync: function (unit, promiseOrFn) {
+        return timeAsync(unit, promiseOrFn, moduleName);
+      },
+      wrap: function (fn, options) {
+        return wrap(fn, Object.assign({ module: moduleName }, options));
+      },
+      child: function (childName) {
+        var childModule = moduleName + '.' + childName;
+        if (registered) {
+          return getLogger(childModule);
+        }
+
+        children[childName] = children[childName] || _createLogger(childModule, moduleLogger, false);
+        return children[childName];
+      },
+      setLevel: function (level) {
+        namespace.loggerConfig.setLevel(level, moduleName);
+      },
+      getLevel: function () {
+        return namespace.loggerConfig.getLevel(moduleName);
+      },
+      resetLevel: function () {
+        namespace.loggerConfig.resetLevel(moduleName);
+      },
+      addAppender: function (appender) {
+        // Registered globally, limited to this module and its children
+        var filter = appender && appender.filter;
+        var name = addAppender(Object.assign({}, appender, {
+          name: moduleName + ':' + (appender && appender.name),
+          filter: function (entry) {
+            var ownEntry = entry.module === moduleName || String(entry.module).indexOf(moduleName + '.') === 0;
+            return ownEntry && (!filter || filter(entry));
+          }
+        }));
+        return name && appender.name;
+      },
+      removeAppender: function (name) {
+        return removeAppender(moduleName + ':' + name);
       }
     };
+
+    return moduleLogger;
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Create a module logger with pre-configured scope and persistent extra data
+   * Every call returns a new, independent logger - use getLogger() to share one instance across files
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} moduleName - The module name (becomes the scope)
+   * @returns {Object} - Module logger with all logging methods
+   */
+  var createModuleLogger = function (moduleName) {
+    return _createLogger(moduleName, null, false);
+  };
+
+
+
+
+
+
+
+
+
+  /* ================================================================================================= */
+  /**
+   * Get the shared logger for a module name, creating it on first use
+   * The same name always returns the same instance, so setExtra(), setLevel() and addAppender() apply to
+   * every file that uses it. Dotted names are children: getLogger('PaymentModule.Refunds') has
+   * getLogger('PaymentModule') as parent
+   * @author Angel O. Flores Torres
+   * @created 2025
+   *
+   * @param {string} name - The module name
+   * @returns {Object} - Module logger with all logging methods
+   */
+  var getLogger = function (name) {
+    if (!loggerRegistry.hasOwnProperty(name)) {
+      var separator = name.lastIndexOf('.');
+      var parent = separator > 0 ? getLogger(name.slice(0, separator)) : null;
+      loggerRegistry[name] = _createLogger(name, parent, true);
+    }
+
+    return loggerRegistry[name];
   };
 
 
 
 
 
+
+
+
+
+  // Built-in appenders: styled console output and the APEX process transport
+  addAppender({ name: 'console', write: _outputToConsole });
+  addAppender({ name: 'apex', server: true, write: _sendToServer });
+
+  // Remember the element of the last user event for the 'trigger' metadata group - only once it is enabled
+  var _syncTriggerCapture = function () {
+    if (triggerCaptureInstalled || (config.metadataGroups || []).indexOf('trigger') === -1) return;
+    if (typeof document === 'undefined' || !document.addEventListener) return;
+
+    triggerCaptureInstalled = true;
+    ['click', 'change', 'keydown', 'submit'].forEach(function (type) {
+      document.addEventListener(type, function (event) {
+        lastUserEvent = { target: event.target, type: event.type, at: Date.now() };
+      }, true);
+    });
+  };
+  namespace.loggerConfig.onConfigChange(_syncTriggerCapture);
+  _syncTriggerCapture();
+
+  // Deliver queued server entries when the user leaves the page
+  if (typeof window !== 'undefined' && window.addEventListener) {
+    window.addEventListener('pagehide', _onPageHide);
+  }
+  if (typeof document !== 'undefined' && document.addEventListener) {
+    document.addEventListener('visibilitychange', _onPageHide);
+  }
+
+  // Replay entries stored by earlier page loads, and again whenever the connection returns
+  var _replayIfEnabled = function () {
+    if (config.enableServer && config.enableOfflineStorage) {
+      replayPending();
+    }
+  };
+  if (typeof window !== 'undefined' && window.addEventListener) {
+    window.addEventListener('online', _replayIfEnabled);
+  }
+  setTimeout(_replayIfEnabled, 0);
+
+
   /* ================================================================================================= */
   /* Return public API */
   /* ================================================================================================= */
@@ -637,18 +4333,64 @@ namespace.logger = (function (namespace) {
     log: log, //  namespace.logger.log("API response received", "ajax", { status: 200, data: "success" });
     error: error, // namespace.logger.error("Validation failed", "form-validation", { field: "email", value: "" });
     warning: warning, // namespace.logger.warning("Deprecated function used", "legacy-code", { function: "oldMethod" });
+    debug: debug, // namespace.logger.debug("Cache lookup", "cache", { key: "P1_ITEMS" });
+    trace: trace, // namespace.logger.trace("Entering validateRow", "grid", { rowId: 42 });
+
+    // Always sent to the server
+    fatal: fatal, // namespace.logger.fatal(new Error("Session state lost"), "checkout");
+    permanent: permanent, // namespace.logger.permanent("Release 2.1 deployed", "deployment");
 
     // Server logging functions (includes database storage)
     logServer: logServer, // namespace.logger.logServer("User login successful", "authentication", { userId: 123, ip: "192.168.1.1" });
 
     // Timing functions
-    timeStart: timeStart, // namespace.logger.timeStart("page-load");
+    timeStart: timeStart, // var timer = namespace.logger.timeStart("page-load"); timer.lap("rendered"); timer.stop("performance");
     timeStop: timeStop, // namespace.logger.timeStop("page-load", "performance");
-
-
+    timeAsync: timeAsync, // namespace.logger.timeAsync("load-orders", function () { return fetchOrders(); }, "orders").then(...);
+    wrap: wrap, // var save = namespace.logger.wrap(saveOrder, { unit: "save-order", module: "orders", logArgs: true });
+    getTimingStats: getTimingStats, // namespace.logger.getTimingStats('grid-refresh')[0].p95
+    printTimingStats: printTimingStats, // namespace.logger.printTimingStats();
+    flushTimingStats: flushTimingStats, // namespace.logger.flushTimingStats();
+    resetTimingStats: resetTimingStats, // namespace.logger.resetTimingStats();
+
+    // Server transport
+    flush: flush, // namespace.logger.flush().then(function () { apex.submit('SAVE'); });
+    getPendingCount: getPendingCount, // namespace.logger.getPendingCount().then(function (count) { ... });
+    replayPending: replayPending, // namespace.logger.replayPending();
+    getTransportStatus: getTransportStatus, // namespace.logger.getTransportStatus().state === 'OPEN'
+
+    // Appenders
+    addAppender: addAppender, // namespace.logger.addAppender({ name: 'panel', level: 'WARNING', write: function (entry) { ... } });
+    removeAppender: removeAppender, // namespace.logger.removeAppender('panel');
+    configureAppender: configureAppender, // namespace.logger.configureAppender('console', { level: 'ERROR' });
+    enableAppender: enableAppender, // namespace.logger.enableAppender('apex');
+    disableAppender: disableAppender, // namespace.logger.disableAppender('console');
+    getAppenders: getAppenders, // namespace.logger.getAppenders();
+
+
+
+    // Global context
+    setContext: setContext, // namespace.logger.setContext({ tenantId: 42, appVersion: '2.1' });
+    clearContext: clearContext, // namespace.logger.clearContext();
+    getContext: getContext, // namespace.logger.getContext();
+    pushContext: pushContext, // namespace.logger.pushContext({ orderId: 7 });
+    popContext: popContext, // namespace.logger.popContext();
+    withContext: withContext, // namespace.logger.withContext({ orderId: 7 }, function () { ... });
+    bind: bind, // setTimeout(namespace.logger.bind(function () { ... }), 100);
+    serverProcess: serverProcess, // namespace.logger.serverProcess('SAVE_ORDER', { x01: 7 }, { success: ... });
+
+    // Trace context
+    startTrace: startTrace, // var trace = namespace.logger.startTrace('save-order'); ... trace.end();
+    withTrace: withTrace, // namespace.logger.withTrace(function (trace) { return saveOrder(); }, 'save-order');
+    getTrace: getTrace, // namespace.logger.getTrace().traceId
+    installTraceInjection: installTraceInjection, // var uninstall = namespace.logger.installTraceInjection();
+
+    // Global error capture
+    installGlobalHandlers: installGlobalHandlers, // var uninstall = namespace.logger.installGlobalHandlers();
 
     // Module logger factory
-    createModuleLogger: createModuleLogger // var logger = namespace.logger.createModuleLogger('PaymentModule');
+    createModuleLogger: createModuleLogger, // var logger = namespace.logger.createModuleLogger('PaymentModule');
+    getLogger: getLogger // var refunds = namespace.logger.getLogger('PaymentModule').child('Refunds');
 
   };
 
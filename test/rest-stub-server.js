@@ -0,0 +1,82 @@
+/**
+ * Local stub HTTP server for the rest transport (serverTransport: 'rest')
+ * Accepts POST /logs, prints every entry and answers CORS preflights, so the logger can be tested
+ * from the test page or an APEX page without an ORDS module.
+ *
+ * Usage:
+ *   node test/rest-stub-server.js                  # http://localhost:8787/logs
+ *   PORT=9000 FAIL_FIRST=2 node test/rest-stub-server.js  # first 2 requests answer 503 (retry/backoff)
+ *   DELAY=15000 node test/rest-stub-server.js      # answer after 15s (restTimeout)
+ *
+ * GET /logs returns every entry received so far, DELETE /logs clears them.
+ */
+'use strict';
+
+var http = require('http');
+
+var port = parseInt(process.env.PORT, 10) || 8787;
+var failFirst = parseInt(process.env.FAIL_FIRST, 10) || 0;
+var delay = parseInt(process.env.DELAY, 10) || 0;
+var received = [];
+var requests = 0;
+
+var send = function (res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+var server = http.createServer(function (req, res) {
+  if (req.method === 'OPTIONS') return send(res, 204);
+  if (req.url.split('?')[0] !== '/logs') return send(res, 404, { error: 'Not found' });
+
+  if (req.method === 'GET') return send(res, 200, received);
+  if (req.method === 'DELETE') {
+    received = [];
+    return send(res, 200, { cleared: true });
+  }
+  if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+
+  var body = '';
+  req.on('data', function (chunk) {
+    body += chunk;
+  });
+  req.on('end', function () {
+    requests++;
+
+    setTimeout(function () {
+      if (requests <= failFirst) {
+        console.log('#' + requests + ' failing on purpose (FAIL_FIRST=' + failFirst + ')');
+        return send(res, 503, { error: 'Service unavailable' });
+      }
+
+      var doc;
+      try {
+        doc = JSON.parse(body);
+      } catch (e) {
+        return send(res, 400, { error: 'Invalid JSON: ' + e.message });
+      }
+
+      // Versioned document { schemaVersion, sentAt, entries }; a bare entry or array is accepted too
+      var entries = doc && Array.isArray(doc.entries) ? doc.entries : [].concat(doc);
+
+      console.log('#' + requests + ' ' + entries.length + ' entr' + (entries.length === 1 ? 'y' : 'ies') +
+        (doc && doc.schemaVersion ? ' (schema v' + doc.schemaVersion + ')' : '') +
+        (req.headers.authorization ? ' (' + req.headers.authorization.split(' ')[0] + ' token)' : ''));
+      entries.forEach(function (entry) {
+        console.log('  ' + entry.level + ' [' + entry.module + '] ' + entry.text);
+      });
+
+      received = received.concat(entries);
+      send(res, 201, { received: entries.length });
+    }, delay);
+  });
+});
+
+server.listen(port, function () {
+  console.log('Logger REST stub listening on http://localhost:' + port + '/logs');
+});